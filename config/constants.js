@@ -12,6 +12,27 @@ export const HTTP_CONFIG = {
   userAgent: 'AI-News-Notifier/1.0'
 };
 
+export const URL_CONFIG = {
+  // Query parameters removed from article URLs
+  trackingParams: [
+    'fbclid', 'gclid', 'dclid', 'msclkid', 'yclid', 'igshid', 'mc_cid', 'mc_eid',
+    'ref', 'ref_src', 'ref_url', 'spm', '_hsenc', '_hsmi', 'mkt_tok', 'amp', 'outputType'
+  ],
+  trackingParamPrefixes: ['utm_'],
+  // Subdomains treated as aliases of the bare host
+  stripSubdomains: ['www', 'm', 'mobile', 'amp'],
+  // Explicit host aliases (e.g., { "old.reddit.com": "reddit.com" })
+  hostAliases: {},
+  forceHttps: true,
+  // Redirect / <link rel="canonical"> resolution (network, off by default)
+  resolve: {
+    enabled: false,
+    hosts: [],              // Only resolve these hosts (empty = all)
+    maxPerRun: 50,
+    maxContentLength: 512 * 1024
+  }
+};
+
 export const DISCORD_CONFIG = {
   maxLength: 2000,
   maxRetries: 3,
@@ -24,6 +45,101 @@ export const CACHE_CONFIG = {
   version: '1.0'
 };
 
+export const WINDOW_CONFIG = {
+  defaultHours: 24,   // Lookback when no successful run is recorded
+  maxHours: 72,       // Upper bound for catch-up after missed runs
+  overlapHours: 1     // Extra lookback for feeds that publish late
+};
+
+export const FEED_HEALTH_CONFIG = {
+  quarantineAfter: 5,     // Consecutive failures before a feed is quarantined
+  probeBaseHours: 24,     // First re-probe delay, doubled after each failed probe
+  probeMaxHours: 168,     // Longest re-probe delay (1 week)
+  itemCountAlpha: 0.3     // Smoothing factor for average item count
+};
+
+export const BACKLOG_CONFIG = {
+  filename: 'backlog.json',
+  version: '1.0',
+  ttlHours: 48,       // Drop queued articles after this long
+  maxEntries: 200
+};
+
+export const HACKERNEWS_API_CONFIG = {
+  provider: 'algolia',    // 'algolia' (search, server-side filters) or 'firebase' (official story lists)
+  algoliaBaseUrl: 'https://hn.algolia.com/api/v1',
+  firebaseBaseUrl: 'https://hacker-news.firebaseio.com/v0',
+  storyTypes: ['top'],    // top, best, new, show, ask
+  query: null,            // Search term(s); matched against titles with firebase
+  minPoints: 0,
+  minComments: 0,
+  hitsPerPage: 50,        // Stories requested per story type / query
+  concurrency: 10         // Parallel item requests (firebase)
+};
+
+export const QIITA_API_CONFIG = {
+  baseUrl: 'https://qiita.com/api/v2',
+  tags: ['ai', 'llm', 'chatgpt', '生成ai', '機械学習'],  // One search per tag
+  excludeTags: [],        // Drop items carrying any of these tags
+  minLikes: 0,
+  perPage: 100,           // API maximum
+  tokenEnv: 'QIITA_TOKEN' // Optional access token (raises the rate limit)
+};
+
+export const ZENN_API_CONFIG = {
+  baseUrl: 'https://zenn.dev/api',
+  topics: ['ai', 'llm', 'chatgpt', '生成ai'],  // One request per topic and post kind
+  order: 'latest',        // latest, daily, weekly, alltime
+  types: ['tech', 'idea'], // Article types to keep: tech, idea, book, scrap
+  minLikes: 0
+};
+
+export const ARXIV_API_CONFIG = {
+  baseUrl: 'https://export.arxiv.org/api/query',
+  categories: ['cs.AI', 'cs.CL', 'cs.LG'],
+  maxResults: 100,        // Newest submissions requested per run
+  lookbackHours: 72       // Papers are announced a day or more after submission
+};
+
+export const HATENA_BOOKMARK_CONFIG = {
+  countApiUrl: 'https://bookmark.hatenaapis.com/count/entries',
+  batchSize: 50,          // URLs per count request (API maximum)
+  sources: ['hackernews', 'qiita', 'zenn']  // Sources whose articles are looked up
+};
+
+export const GITHUB_CONFIG = {
+  excludePrereleases: true,
+  // Tags treated as pre-releases (releases.atom carries no pre-release flag)
+  prereleasePattern: '(?:^|[^a-z])(?:alpha|beta|rc|pre|preview|dev|nightly)\\d*(?:$|[^a-z])',
+  trending: {
+    enabled: false,
+    apiBaseUrl: 'https://api.github.com',
+    topics: ['llm', 'machine-learning', 'generative-ai'],
+    createdWithinDays: 7, // Only repositories created this recently
+    minStars: 100,
+    perPage: 20,
+    tokenEnv: 'GITHUB_TOKEN'  // Optional token (raises the rate limit)
+  }
+};
+
+export const CONTENT_EXTRACTION_CONFIG = {
+  enabled: false,
+  maxContentLength: 2 * 1024 * 1024,  // Largest HTML download (bytes)
+  maxTextLength: 5000,    // Stored text (characters)
+  minTextLength: 200,     // Shorter extractions are discarded
+  timeout: 10000,         // Per-page timeout (ms)
+  concurrency: 4,
+  allowHosts: [],         // Only extract from these hosts (empty = all)
+  denyHosts: []           // Never extract from these hosts (subdomains included)
+};
+
+export const SUMMARY_CACHE_CONFIG = {
+  filename: 'summaries.json',
+  version: '1.0',
+  ttlHours: 168,      // Reuse summaries for a week
+  maxEntries: 2000
+};
+
 export const LOG_LEVELS = {
   DEBUG: 0,
   INFO: 1,
@@ -34,7 +150,55 @@ export const LOG_LEVELS = {
 export const GEMINI_CONFIG = {
   model: 'gemini-3-flash-preview',
   maxSummaryLength: 200,  // characters
+  maxContentLength: 2000, // Body text (e.g., arXiv abstract) included in prompts
   temperature: 0.7,
   maxRetries: 3,
-  batchSize: 5  // Process 5 articles at a time
+  batchSize: 5,  // Process 5 articles at a time
+  promptVersion: 'v3',  // Bump when summary prompts change (invalidates cached summaries)
+  summaryMode: 'batch',  // 'batch' (one JSON request per chunk) or 'single' (one request per article)
+  summaryBatchSize: 10,  // Articles per batched summary request
+  classificationBatchSize: 20,  // Articles per classification request
+  categories: ['models', 'tooling', 'research', 'business', 'policy']
+};
+
+export const LLM_CONFIG = {
+  provider: 'gemini',     // gemini, openai, ollama, fake
+  // Per-run limits (0 = unlimited); past them, remaining articles use fallbacks
+  budget: {
+    maxRequests: 0,
+    maxTokens: 0
+  },
+  providers: {
+    gemini: {
+      model: GEMINI_CONFIG.model,
+      apiKeyEnv: 'GEMINI_API_KEY',
+      retry: { maxRetries: 3, baseDelay: 2000, maxDelay: 30000 },
+      rateLimit: { requestsPerMinute: 10 }   // Free tier
+    },
+    // Any OpenAI-compatible chat completions endpoint (OpenAI, vLLM, LM Studio, Azure)
+    openai: {
+      model: 'gpt-4o-mini',
+      baseUrl: 'https://api.openai.com/v1',
+      apiKeyEnv: 'OPENAI_API_KEY',
+      apiKeyHeader: 'Authorization',        // 'api-key' for Azure
+      apiVersion: null,                     // Azure api-version query parameter
+      jsonMode: 'schema',                   // schema, object or none
+      timeout: 120000,
+      retry: { maxRetries: 3, baseDelay: 1000, maxDelay: 10000 },
+      rateLimit: { requestsPerMinute: 0 }   // 0 = unlimited
+    },
+    ollama: {
+      model: 'llama3.1',
+      baseUrl: 'http://localhost:11434',
+      timeout: 300000,
+      retry: { maxRetries: 1, baseDelay: 1000, maxDelay: 5000 },
+      rateLimit: { requestsPerMinute: 0 }
+    },
+    // Deterministic offline provider (no network)
+    fake: {
+      model: 'fake',
+      retry: { maxRetries: 0 },
+      rateLimit: { requestsPerMinute: 0 }
+    }
+  }
 };
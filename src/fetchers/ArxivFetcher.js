@@ -0,0 +1,106 @@
+import * as cheerio from 'cheerio';
+import { BaseFetcher } from './BaseFetcher.js';
+import { ARXIV_API_CONFIG } from '../../config/constants.js';
+
+/**
+ * arXiv paper fetcher
+ * Queries the arXiv Atom API for the newest submissions in the configured categories
+ */
+export class ArxivFetcher extends BaseFetcher {
+  constructor(config) {
+    super({
+      ...config,
+      name: config.name || 'arXiv',
+      sourceKey: config.sourceKey || 'arxiv',
+      type: 'arxiv',
+      feeds: config.feeds || [],
+      maxArticles: config.maxArticles || 10
+    });
+
+    this.api = {
+      ...ARXIV_API_CONFIG,
+      categories: config.categories || ARXIV_API_CONFIG.categories,
+      maxResults: config.maxResults || ARXIV_API_CONFIG.maxResults,
+      lookbackHours: config.lookbackHours || ARXIV_API_CONFIG.lookbackHours
+    };
+  }
+
+  /**
+   * Fetch papers from arXiv
+   * The window is widened to lookbackHours since announcements lag submission
+   */
+  async fetch(options = {}) {
+    const lookbackStart = new Date(Date.now() - this.api.lookbackHours * 60 * 60 * 1000);
+    const since = options.since && options.since < lookbackStart ? options.since : lookbackStart;
+    return this.fetchAll({ ...options, since });
+  }
+
+  /**
+   * Load entries with a single API query across all categories
+   */
+  async _loadFeeds(options = {}) {
+    const params = new URLSearchParams({
+      search_query: this.api.categories.map(category => `cat:${category}`).join(' OR '),
+      sortBy: 'submittedDate',
+      sortOrder: 'descending',
+      max_results: String(this.api.maxResults)
+    });
+    const url = `${this.api.baseUrl}?${params}`;
+
+    return this._loadRequests([{ url, load: () => this._loadEntries(url) }]);
+  }
+
+  /**
+   * Fetch and parse the Atom response
+   */
+  async _loadEntries(url) {
+    const response = await this.retryHandler.execute(
+      () => this.httpClient.get(url),
+      `ArxivFetcher.${this.name}`
+    );
+    return this._parseAtom(response.data);
+  }
+
+  /**
+   * Convert Atom entries to items carrying authors, abstract and categories
+   */
+  _parseAtom(xml) {
+    const $ = cheerio.load(xml, { xml: true });
+    const items = [];
+
+    $('entry').each((_, element) => {
+      const entry = $(element);
+      const id = entry.children('id').text().trim();
+      const link = this._toAbsUrl(id);
+      if (!link) return;
+
+      items.push({
+        title: this._collapse(entry.children('title').text()),
+        link,
+        isoDate: entry.children('published').text().trim() || null,
+        authors: entry.children('author').map((__, author) => $(author).children('name').text().trim()).get(),
+        abstract: this._collapse(entry.children('summary').text()),
+        primaryCategory: entry.children('arxiv\\:primary_category').attr('term') || null,
+        categories: entry.children('category').map((__, category) => $(category).attr('term')).get(),
+        pdfUrl: entry.children('link[title="pdf"]').attr('href') || null
+      });
+    });
+
+    return items;
+  }
+
+  /**
+   * Version-less abstract URL (e.g., http://arxiv.org/abs/2410.01234v2 -> https://arxiv.org/abs/2410.01234)
+   */
+  _toAbsUrl(id) {
+    const match = id.match(/arxiv\.org\/abs\/(.+?)(v\d+)?$/);
+    return match ? `https://arxiv.org/abs/${match[1]}` : null;
+  }
+
+  /**
+   * Collapse line-wrapped Atom text
+   */
+  _collapse(text) {
+    return text.replace(/\s+/g, ' ').trim();
+  }
+}
@@ -1,5 +1,9 @@
 import { getRSSParser } from '../parsers/RSSParser.js';
 import { getArticleNormalizer } from '../parsers/ArticleNormalizer.js';
+import { RelevanceFilter } from '../filters/RelevanceFilter.js';
+import { getUrlCanonicalizer } from '../utils/UrlCanonicalizer.js';
+import { RetryHandler } from '../utils/RetryHandler.js';
+import { getHttpClient } from '../utils/HttpClient.js';
 import { getLogger } from '../utils/Logger.js';
 
 const logger = getLogger();
@@ -15,32 +19,56 @@ export class BaseFetcher {
 
     this.name = config.name;
     this.sourceKey = config.sourceKey; // e.g., 'hackernews', 'qiita', 'zenn'
+    this.type = config.type || 'rss'; // normalizer type, e.g., 'rss', 'hackernews'
     this.feeds = Array.isArray(config.feeds) ? config.feeds : [config.feeds];
     this.maxArticles = config.maxArticles || 20;
+    this.priority = config.priority || null; // "official" for vendor announcements
     this.parser = getRSSParser();
+    // Extra options for RSSParser.parse (e.g., scrape selectors)
+    this.parseOptions = {};
     this.normalizer = getArticleNormalizer();
+    // HTTP layer for API modes (replaceable with a stub)
+    this.httpClient = config.httpClient || getHttpClient();
+    this.retryHandler = new RetryHandler();
+    // Optional AI-relevance stage, merged with global defaults
+    this.relevanceFilter = config.relevance
+      ? new RelevanceFilter(config.relevance, config.defaults?.relevance)
+      : null;
+  }
+
+  /**
+   * Replace the HTTP layer (e.g., with a stub)
+   */
+  setHttpClient(httpClient) {
+    this.httpClient = httpClient;
   }
 
   /**
    * Fetch articles - to be implemented by subclasses
+   * Options: { since, until } publication window (defaults to the last 24 hours),
+   * { explicit } for a CLI catch-up window (feeds are fetched without validators)
    */
-  async fetch() {
+  async fetch(options = {}) {
     throw new Error('fetch() must be implemented by subclass');
   }
 
   /**
    * Fetch all feeds and return normalized articles
    */
-  async fetchAll() {
+  async fetchAll(options = {}) {
     const context = `BaseFetcher.${this.name}`;
 
     try {
-      // Parse all feeds
-      const { successful, failed } = await this.parser.parseMultiple(this.feeds, this.name);
+      // Load all feeds (or API endpoints)
+      const { successful, failed, skipped = [] } = await this._loadFeeds(options);
 
       if (successful.length === 0) {
-        logger.error(`Failed to fetch any feeds from ${this.name}`, null, context);
-        return [];
+        if (failed.length === 0) {
+          logger.info(`All ${skipped.length} feeds from ${this.name} are quarantined`, context);
+        } else {
+          logger.error(`Failed to fetch any feeds from ${this.name}`, null, context);
+        }
+        return this._emptyResult(failed.length);
       }
 
       // Merge all items
@@ -48,7 +76,13 @@ export class BaseFetcher {
       logger.info(`Fetched ${allItems.length} items from ${successful.length} feeds`, context);
 
       // Normalize to Articles
-      let articles = this.normalizer.normalizeAll(allItems, this.sourceKey);
+      let articles = this.normalizer.normalizeAll(allItems, this.sourceKey, this.type);
+      if (this.priority) {
+        articles.forEach(article => { article.priority = this.priority; });
+      }
+
+      // Resolve canonical URLs (redirects, <link rel="canonical">) when enabled
+      articles = await this._resolveCanonicalUrls(articles);
 
       // Deduplicate by hash
       articles = this.normalizer.deduplicateByHash(articles);
@@ -56,8 +90,15 @@ export class BaseFetcher {
       // Sort by published date
       articles = this.normalizer.sortByPublishedDate(articles);
 
-      // Filter by date range (last 24 hours)
-      articles = this.normalizer.filterByDateRange(articles, 24);
+      // Filter by publication window (last 24 hours unless given)
+      articles = options.since
+        ? this.normalizer.filterByWindow(articles, options.since, options.until)
+        : this.normalizer.filterByDateRange(articles, 24);
+
+      // Drop or down-rank off-topic articles
+      if (this.relevanceFilter) {
+        articles = this.relevanceFilter.apply(articles, this.name);
+      }
 
       // Limit to max articles
       articles = this.normalizer.limit(articles, this.maxArticles);
@@ -72,8 +113,84 @@ export class BaseFetcher {
       };
     } catch (error) {
       logger.error(`Failed to fetch articles from ${this.name}`, error, context);
-      return [];
+      throw error;
+    }
+  }
+
+  /**
+   * Load raw items as { successful: [{ items }], failed: [{ url, error }], skipped }
+   * Subclasses with an API mode override this; the rest of the pipeline is shared
+   */
+  async _loadFeeds(options = {}) {
+    return this.parser.parseMultiple(this.feeds, this.name, { ...this.parseOptions, conditional: !options.explicit });
+  }
+
+  /**
+   * Run API requests ({ url, load }) as if each were a feed
+   * load() resolves to an item array; failures are reported like failed feeds
+   */
+  async _loadRequests(requests) {
+    const results = await Promise.allSettled(requests.map(request => request.load()));
+
+    const successful = [];
+    const failed = [];
+
+    results.forEach((result, index) => {
+      const { url } = requests[index];
+
+      if (result.status === 'fulfilled') {
+        successful.push({ items: result.value });
+      } else {
+        failed.push({ url, error: result.reason });
+        logger.warn(`Failed to fetch ${url}: ${result.reason.message}`, `${this.constructor.name}.${this.name}`);
+      }
+    });
+
+    return { successful, failed, skipped: [] };
+  }
+
+  /**
+   * GET a JSON document with retries (API modes)
+   */
+  async _getJson(url, headers = {}) {
+    const context = `${this.constructor.name}.${this.name}`;
+
+    return this.retryHandler.execute(async () => {
+      logger.debug(`Fetching: ${url}`, context);
+      const response = await this.httpClient.get(url, { headers, responseType: 'json' });
+      return typeof response.data === 'string' ? JSON.parse(response.data) : response.data;
+    }, context);
+  }
+
+  /**
+   * Resolve canonical URLs sequentially (results are cached across runs)
+   */
+  async _resolveCanonicalUrls(articles) {
+    const canonicalizer = getUrlCanonicalizer();
+    if (!canonicalizer.resolveConfig.enabled) {
+      return articles;
     }
+
+    for (const article of articles) {
+      const resolved = await canonicalizer.resolve(article.url);
+      if (resolved !== article.canonicalUrl) {
+        article.setCanonicalUrl(resolved);
+      }
+    }
+
+    return articles;
+  }
+
+  /**
+   * Build an empty result (all feeds failed)
+   */
+  _emptyResult(failedCount = 0) {
+    return {
+      articles: [],
+      feedCount: 0,
+      itemCount: 0,
+      failedCount
+    };
   }
 
   /**
@@ -83,6 +200,8 @@ export class BaseFetcher {
     return {
       name: this.name,
       sourceKey: this.sourceKey,
+      type: this.type,
+      priority: this.priority,
       feeds: this.feeds,
       maxArticles: this.maxArticles
     };
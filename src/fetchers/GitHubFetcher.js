@@ -0,0 +1,133 @@
+import { BaseFetcher } from './BaseFetcher.js';
+import { GITHUB_CONFIG } from '../../config/constants.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * GitHub fetcher
+ * Tracks release feeds (/releases.atom) of configured repositories and, when
+ * trending is enabled, searches the GitHub API for fast-rising AI repositories
+ */
+export class GitHubFetcher extends BaseFetcher {
+  constructor(config) {
+    const repos = config.repos || [];
+
+    super({
+      ...config,
+      name: config.name || 'GitHub',
+      sourceKey: config.sourceKey || 'github',
+      type: 'github',
+      feeds: [...repos.map(repo => `https://github.com/${repo}/releases.atom`), ...(config.feeds || [])],
+      maxArticles: config.maxArticles || 20
+    });
+
+    this.excludePrereleases = config.excludePrereleases ?? GITHUB_CONFIG.excludePrereleases;
+    this.prereleasePattern = new RegExp(config.prereleasePattern || GITHUB_CONFIG.prereleasePattern, 'i');
+    this.trending = { ...GITHUB_CONFIG.trending, ...(config.trending || {}) };
+  }
+
+  /**
+   * Fetch releases and trending repositories from GitHub
+   */
+  async fetch(options = {}) {
+    return this.fetchAll(options);
+  }
+
+  /**
+   * Load release feeds and trending searches as one set of feeds
+   */
+  async _loadFeeds(options = {}) {
+    const releases = this.feeds.length > 0
+      ? await super._loadFeeds(options)
+      : { successful: [], failed: [], skipped: [] };
+
+    const successful = releases.successful.map(feed => ({ ...feed, items: this._prepareReleases(feed.items || []) }));
+    const failed = [...releases.failed];
+
+    if (this.trending.enabled) {
+      const trending = await this._loadRequests(this._buildTrendingRequests());
+      successful.push(...trending.successful);
+      failed.push(...trending.failed);
+    }
+
+    return { successful, failed, skipped: releases.skipped };
+  }
+
+  /**
+   * Tag release entries with repository / tag and drop pre-releases (by tag name) if configured
+   */
+  _prepareReleases(items) {
+    return items
+      .map(item => {
+        const match = (item.link || '').match(/github\.com\/([^/]+\/[^/]+)\/releases\/tag\/([^?#]+)/);
+        const tag = match ? decodeURIComponent(match[2]) : null;
+        // Only the tag name: release titles often mention "preview" or "dev" features
+        const prerelease = tag ? this.prereleasePattern.test(tag) : false;
+
+        return {
+          ...item,
+          metadata: { kind: 'release', repo: match ? match[1] : null, tag, prerelease }
+        };
+      })
+      .filter(item => !(this.excludePrereleases && item.metadata.prerelease));
+  }
+
+  /**
+   * One repository search per topic
+   */
+  _buildTrendingRequests() {
+    const createdAfter = new Date(Date.now() - this.trending.createdWithinDays * DAY_MS).toISOString().slice(0, 10);
+
+    return this.trending.topics.map(topic => {
+      const params = new URLSearchParams({
+        q: `topic:${topic} created:>=${createdAfter} stars:>=${this.trending.minStars}`,
+        sort: 'stars',
+        order: 'desc',
+        per_page: String(this.trending.perPage)
+      });
+      const url = `${this.trending.apiBaseUrl}/search/repositories?${params}`;
+      return { url, load: () => this._loadRepositories(url) };
+    });
+  }
+
+  /**
+   * API request headers (token is optional)
+   */
+  _apiHeaders() {
+    const token = process.env[this.trending.tokenEnv];
+    return {
+      Accept: 'application/vnd.github+json',
+      ...(token ? { Authorization: `Bearer ${token}` } : {})
+    };
+  }
+
+  /**
+   * Fetch one search page and convert repositories to items
+   * Repositories have no publication date, so they are never cut by the window;
+   * seen.json keeps each one from being notified twice
+   */
+  async _loadRepositories(url) {
+    const data = await this._getJson(url, this._apiHeaders());
+    const repositories = Array.isArray(data?.items) ? data.items : [];
+
+    return repositories.map(repository => {
+      const ageDays = Math.max(1, (Date.now() - new Date(repository.created_at)) / DAY_MS);
+
+      return {
+        title: repository.full_name,
+        link: repository.html_url,
+        isoDate: null,
+        creator: repository.owner?.login || null,
+        contentSnippet: repository.description || null,
+        engagement: { stars: repository.stargazers_count ?? 0 },
+        metadata: {
+          kind: 'repository',
+          repo: repository.full_name,
+          language: repository.language || null,
+          topics: repository.topics || [],
+          starsPerDay: Math.round((repository.stargazers_count ?? 0) / ageDays)
+        }
+      };
+    });
+  }
+}
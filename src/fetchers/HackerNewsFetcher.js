@@ -1,22 +1,217 @@
 import { BaseFetcher } from './BaseFetcher.js';
+import { HACKERNEWS_API_CONFIG } from '../../config/constants.js';
+
+const DISCUSSION_URL = 'https://news.ycombinator.com/item?id=';
+
+// Story type -> Algolia tag / Firebase list
+const ALGOLIA_TAGS = {
+  top: 'front_page',
+  best: 'story',
+  new: 'story',
+  show: 'show_hn',
+  ask: 'ask_hn'
+};
+const FIREBASE_LISTS = {
+  top: 'topstories',
+  best: 'beststories',
+  new: 'newstories',
+  show: 'showstories',
+  ask: 'askstories'
+};
 
 /**
  * Hacker News feed fetcher
+ * mode "rss" (default) reads hnrss feeds; mode "api" queries the Algolia or Firebase API
  */
 export class HackerNewsFetcher extends BaseFetcher {
   constructor(config) {
     super({
-      name: 'HackerNews',
-      sourceKey: 'hackernews',
+      ...config,
+      name: config.name || 'HackerNews',
+      sourceKey: config.sourceKey || 'hackernews',
+      type: 'hackernews',
       feeds: config.feeds || ['https://hnrss.org/newest'],
       maxArticles: config.maxArticles || 30
     });
+
+    this.mode = config.mode || 'rss';
+    this.api = { ...HACKERNEWS_API_CONFIG, ...(config.api || {}) };
+
+    if (this.mode === 'api') {
+      this._validateApiConfig();
+    }
   }
 
   /**
    * Fetch articles from Hacker News
    */
-  async fetch() {
-    return this.fetchAll();
+  async fetch(options = {}) {
+    return this.fetchAll(options);
+  }
+
+  /**
+   * Reject unknown providers and story types early
+   */
+  _validateApiConfig() {
+    if (!['algolia', 'firebase'].includes(this.api.provider)) {
+      throw new Error(`Unknown Hacker News API provider: ${this.api.provider}`);
+    }
+    for (const storyType of this.api.storyTypes) {
+      if (!ALGOLIA_TAGS[storyType]) {
+        throw new Error(`Unknown Hacker News story type: ${storyType}`);
+      }
+    }
+  }
+
+  /**
+   * Load items from hnrss feeds or from the API, one "feed" per request
+   */
+  async _loadFeeds(options = {}) {
+    if (this.mode !== 'api') {
+      return super._loadFeeds(options);
+    }
+
+    const requests = this.api.provider === 'firebase'
+      ? this.api.storyTypes.map(storyType => ({
+        url: `${this.api.firebaseBaseUrl}/${FIREBASE_LISTS[storyType]}.json`,
+        load: () => this._loadFirebaseStories(storyType)
+      }))
+      : this._buildAlgoliaRequests(options);
+
+    return this._loadRequests(requests);
+  }
+
+  /**
+   * Search queries configured for the run ([null] when no query is set)
+   */
+  _getQueries() {
+    const { query } = this.api;
+    if (!query) return [null];
+    return Array.isArray(query) ? query : [query];
+  }
+
+  /**
+   * One Algolia request per story type and query
+   * Window and thresholds are applied server-side as numeric filters
+   */
+  _buildAlgoliaRequests(options = {}) {
+    const requests = [];
+
+    for (const storyType of this.api.storyTypes) {
+      for (const query of this._getQueries()) {
+        // "best" is approximated by Algolia's popularity ranking
+        const endpoint = storyType === 'best' ? 'search' : 'search_by_date';
+        const params = new URLSearchParams({
+          tags: ALGOLIA_TAGS[storyType],
+          hitsPerPage: String(this.api.hitsPerPage)
+        });
+        if (query) {
+          params.set('query', query);
+        }
+
+        const numericFilters = [];
+        if (options.since) numericFilters.push(`created_at_i>=${Math.floor(options.since.getTime() / 1000)}`);
+        if (options.until) numericFilters.push(`created_at_i<=${Math.floor(options.until.getTime() / 1000)}`);
+        if (this.api.minPoints > 0) numericFilters.push(`points>=${this.api.minPoints}`);
+        if (this.api.minComments > 0) numericFilters.push(`num_comments>=${this.api.minComments}`);
+        if (numericFilters.length > 0) {
+          params.set('numericFilters', numericFilters.join(','));
+        }
+
+        const url = `${this.api.algoliaBaseUrl}/${endpoint}?${params}`;
+        requests.push({ url, load: () => this._loadAlgoliaHits(url) });
+      }
+    }
+
+    return requests;
+  }
+
+  /**
+   * Fetch an Algolia search page and convert hits to items
+   */
+  async _loadAlgoliaHits(url) {
+    const data = await this._getJson(url);
+    const hits = Array.isArray(data?.hits) ? data.hits : [];
+
+    const items = hits.map(hit => this._toItem({
+      id: hit.objectID,
+      title: hit.title,
+      url: hit.url,
+      author: hit.author,
+      createdAt: hit.created_at || (hit.created_at_i ? new Date(hit.created_at_i * 1000).toISOString() : null),
+      text: hit.story_text,
+      points: hit.points,
+      comments: hit.num_comments
+    }));
+
+    return items.filter(item => this._passesThresholds(item));
+  }
+
+  /**
+   * Fetch a Firebase story list, then its items with bounded concurrency
+   * Firebase has no search, so the query is matched against titles here
+   */
+  async _loadFirebaseStories(storyType) {
+    const ids = await this._getJson(`${this.api.firebaseBaseUrl}/${FIREBASE_LISTS[storyType]}.json`);
+    const selected = (Array.isArray(ids) ? ids : []).slice(0, this.api.hitsPerPage);
+
+    const stories = [];
+    for (let i = 0; i < selected.length; i += this.api.concurrency) {
+      const chunk = selected.slice(i, i + this.api.concurrency);
+      const results = await Promise.allSettled(
+        chunk.map(id => this._getJson(`${this.api.firebaseBaseUrl}/item/${id}.json`))
+      );
+      for (const result of results) {
+        if (result.status === 'fulfilled' && result.value) {
+          stories.push(result.value);
+        }
+      }
+    }
+
+    const queries = this._getQueries().filter(Boolean).map(query => query.toLowerCase());
+
+    return stories
+      .filter(story => story.type === 'story' && !story.dead && !story.deleted)
+      .filter(story => queries.length === 0 || queries.some(query => (story.title || '').toLowerCase().includes(query)))
+      .map(story => this._toItem({
+        id: story.id,
+        title: story.title,
+        url: story.url,
+        author: story.by,
+        createdAt: story.time ? new Date(story.time * 1000).toISOString() : null,
+        text: story.text,
+        points: story.score,
+        comments: story.descendants
+      }))
+      .filter(item => this._passesThresholds(item));
+  }
+
+  /**
+   * Build an rss-parser style item carrying engagement and the discussion link
+   * Ask HN / text posts have no external URL and link to the discussion instead
+   */
+  _toItem(story) {
+    const discussionUrl = `${DISCUSSION_URL}${story.id}`;
+
+    return {
+      title: story.title,
+      link: story.url || discussionUrl,
+      isoDate: story.createdAt,
+      creator: story.author,
+      contentSnippet: story.text ? story.text.replace(/<[^>]+>/g, ' ').replace(/\s+/g, ' ').trim() : null,
+      comments: discussionUrl,
+      engagement: {
+        points: story.points ?? 0,
+        comments: story.comments ?? 0
+      }
+    };
+  }
+
+  /**
+   * Check minPoints / minComments
+   */
+  _passesThresholds(item) {
+    return item.engagement.points >= this.api.minPoints &&
+      item.engagement.comments >= this.api.minComments;
   }
 }
@@ -0,0 +1,28 @@
+import { BaseFetcher } from './BaseFetcher.js';
+
+/**
+ * Hatena Bookmark fetcher
+ * Reads hot-entry / new-entry category feeds; bookmark counts become engagement
+ */
+export class HatenaFetcher extends BaseFetcher {
+  constructor(config) {
+    super({
+      ...config,
+      name: config.name || 'Hatena Bookmark',
+      sourceKey: config.sourceKey || 'hatena',
+      type: 'hatena',
+      feeds: config.feeds || [
+        'https://b.hatena.ne.jp/hotentry/it.rss',
+        'https://b.hatena.ne.jp/entrylist/it.rss'
+      ],
+      maxArticles: config.maxArticles || 20
+    });
+  }
+
+  /**
+   * Fetch articles from Hatena Bookmark
+   */
+  async fetch(options = {}) {
+    return this.fetchAll(options);
+  }
+}
@@ -1,13 +1,17 @@
 import { BaseFetcher } from './BaseFetcher.js';
+import { QIITA_API_CONFIG } from '../../config/constants.js';
 
 /**
  * Qiita feed fetcher
+ * mode "rss" (default) reads tag Atom feeds; mode "api" searches Qiita API v2 by tag
  */
 export class QiitaFetcher extends BaseFetcher {
   constructor(config) {
     super({
-      name: 'Qiita',
-      sourceKey: 'qiita',
+      ...config,
+      name: config.name || 'Qiita',
+      sourceKey: config.sourceKey || 'qiita',
+      type: 'qiita',
       feeds: config.feeds || [
         'https://qiita.com/popular-items/feed.atom',
         'https://qiita.com/tags/ai/feed.atom',
@@ -18,12 +22,102 @@ export class QiitaFetcher extends BaseFetcher {
       ],
       maxArticles: config.maxArticles || 20
     });
+
+    this.mode = config.mode || 'rss';
+    this.api = { ...QIITA_API_CONFIG, ...(config.api || {}) };
+    this.excludeTags = new Set(this.api.excludeTags.map(tag => tag.toLowerCase()));
   }
 
   /**
    * Fetch articles from Qiita
    */
-  async fetch() {
-    return this.fetchAll();
+  async fetch(options = {}) {
+    return this.fetchAll(options);
+  }
+
+  /**
+   * Load items from tag feeds or from the API (one search per tag)
+   */
+  async _loadFeeds(options = {}) {
+    if (this.mode !== 'api') {
+      return super._loadFeeds(options);
+    }
+
+    const createdAfter = this._formatQueryDate(options.since || new Date(Date.now() - 24 * 60 * 60 * 1000));
+    const requests = this.api.tags.map(tag => {
+      const params = new URLSearchParams({
+        page: '1',
+        per_page: String(this.api.perPage),
+        query: `tag:${tag} created:>=${createdAfter}`
+      });
+      const url = `${this.api.baseUrl}/items?${params}`;
+      return { url, load: () => this._loadItems(url) };
+    });
+
+    return this._loadRequests(requests);
+  }
+
+  /**
+   * Search date (YYYY-MM-DD), one day early so JST dates never cut off the window
+   * The exact window is applied afterwards by the shared pipeline
+   */
+  _formatQueryDate(date) {
+    return new Date(date.getTime() - 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+  }
+
+  /**
+   * Authorization header when an access token is configured
+   */
+  _authHeaders() {
+    const token = process.env[this.api.tokenEnv];
+    return token ? { Authorization: `Bearer ${token}` } : {};
+  }
+
+  /**
+   * Fetch one search page and convert items, applying tag and likes filters
+   */
+  async _loadItems(url) {
+    const data = await this._getJson(url, this._authHeaders());
+    const items = Array.isArray(data) ? data : [];
+
+    return items
+      .map(item => this._toItem(item))
+      .filter(item => item.engagement.likes >= this.api.minLikes)
+      .filter(item => !item.category.some(tag => this.excludeTags.has(tag)));
+  }
+
+  /**
+   * Build an rss-parser style item carrying tags and engagement
+   */
+  _toItem(item) {
+    return {
+      title: item.title,
+      link: item.url,
+      isoDate: item.created_at,
+      creator: item.user?.id || null,
+      contentSnippet: this._toSnippet(item.body),
+      category: (item.tags || []).map(tag => tag.name.toLowerCase()),
+      engagement: {
+        likes: item.likes_count ?? 0,
+        stocks: item.stocks_count ?? 0
+      }
+    };
+  }
+
+  /**
+   * Plain-text opening of a Markdown body (code blocks, images and markup removed)
+   */
+  _toSnippet(body) {
+    if (!body) return null;
+
+    return body
+      .replace(/```[\s\S]*?```/g, ' ')
+      .replace(/!\[[^\]]*\]\([^)]*\)/g, ' ')
+      .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+      .replace(/^[#>\-*\s]+/gm, '')
+      .replace(/[`*_]/g, '')
+      .replace(/\s+/g, ' ')
+      .trim()
+      .slice(0, 500);
   }
 }
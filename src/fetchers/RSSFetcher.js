@@ -0,0 +1,24 @@
+import { BaseFetcher } from './BaseFetcher.js';
+
+/**
+ * Generic RSS/Atom feed fetcher for sources without a dedicated fetcher
+ */
+export class RSSFetcher extends BaseFetcher {
+  constructor(config) {
+    super({
+      ...config,
+      name: config.name || config.sourceKey,
+      sourceKey: config.sourceKey,
+      type: 'rss',
+      feeds: config.feeds || [],
+      maxArticles: config.maxArticles || 20
+    });
+  }
+
+  /**
+   * Fetch articles from configured feeds
+   */
+  async fetch(options = {}) {
+    return this.fetchAll(options);
+  }
+}
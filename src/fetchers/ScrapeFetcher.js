@@ -0,0 +1,32 @@
+import { BaseFetcher } from './BaseFetcher.js';
+
+/**
+ * Fetcher for pages without a feed
+ * Extracts article links from HTML using configured CSS selectors
+ * ({ item, title, link, date, summary })
+ */
+export class ScrapeFetcher extends BaseFetcher {
+  constructor(config) {
+    super({
+      ...config,
+      name: config.name || config.sourceKey,
+      sourceKey: config.sourceKey,
+      type: 'scrape',
+      feeds: config.feeds || [],
+      maxArticles: config.maxArticles || 20
+    });
+
+    if (!config.selectors?.item) {
+      throw new Error(`Scrape source ${config.sourceKey} requires selectors.item`);
+    }
+
+    this.parseOptions = { selectors: config.selectors };
+  }
+
+  /**
+   * Fetch articles from configured pages
+   */
+  async fetch(options = {}) {
+    return this.fetchAll(options);
+  }
+}
@@ -0,0 +1,105 @@
+import { RSSFetcher } from './RSSFetcher.js';
+import { HackerNewsFetcher } from './HackerNewsFetcher.js';
+import { QiitaFetcher } from './QiitaFetcher.js';
+import { ZennFetcher } from './ZennFetcher.js';
+import { ScrapeFetcher } from './ScrapeFetcher.js';
+import { ArxivFetcher } from './ArxivFetcher.js';
+import { HatenaFetcher } from './HatenaFetcher.js';
+import { GitHubFetcher } from './GitHubFetcher.js';
+import { getLogger } from '../utils/Logger.js';
+
+const logger = getLogger();
+
+/**
+ * Registry mapping source types to fetcher classes
+ */
+export class SourceRegistry {
+  constructor() {
+    this.types = new Map();
+
+    // Built-in source types
+    this.register('rss', RSSFetcher);
+    this.register('hackernews', HackerNewsFetcher);
+    this.register('qiita', QiitaFetcher);
+    this.register('zenn', ZennFetcher);
+    this.register('scrape', ScrapeFetcher);
+    this.register('arxiv', ArxivFetcher);
+    this.register('hatena', HatenaFetcher);
+    this.register('github', GitHubFetcher);
+  }
+
+  /**
+   * Register a fetcher class for a source type
+   */
+  register(type, FetcherClass) {
+    this.types.set(type, FetcherClass);
+  }
+
+  /**
+   * Check if a source type is registered
+   */
+  has(type) {
+    return this.types.has(type);
+  }
+
+  /**
+   * Resolve source type from config
+   * Falls back to the source key (for legacy configs) and then to generic RSS
+   */
+  resolveType(sourceKey, config) {
+    if (config.type) {
+      return config.type;
+    }
+    return this.has(sourceKey) ? sourceKey : 'rss';
+  }
+
+  /**
+   * Create a fetcher for a single source
+   * Defaults hold global settings shared by all sources (e.g., relevance term lists)
+   */
+  create(sourceKey, config, defaults = {}) {
+    const type = this.resolveType(sourceKey, config);
+    const FetcherClass = this.types.get(type);
+
+    if (!FetcherClass) {
+      throw new Error(`Unknown source type "${type}" for source: ${sourceKey}`);
+    }
+
+    return new FetcherClass({ ...config, sourceKey, defaults });
+  }
+
+  /**
+   * Create fetchers for all enabled sources in config order
+   */
+  createAll(sources, defaults = {}) {
+    const fetchers = [];
+    const errors = [];
+
+    for (const [sourceKey, config] of Object.entries(sources)) {
+      if (config.enabled === false) {
+        logger.debug(`Source disabled, skipping: ${sourceKey}`, 'SourceRegistry');
+        continue;
+      }
+
+      try {
+        fetchers.push(this.create(sourceKey, config, defaults));
+      } catch (error) {
+        logger.error(`Failed to create fetcher for ${sourceKey}`, error, 'SourceRegistry');
+        errors.push({ sourceKey, error });
+      }
+    }
+
+    logger.debug(`Created ${fetchers.length} fetchers`, 'SourceRegistry');
+    return { fetchers, errors };
+  }
+}
+
+// Singleton instance
+let registryInstance = null;
+
+export function getSourceRegistry() {
+  if (!registryInstance) {
+    registryInstance = new SourceRegistry();
+  }
+  return registryInstance;
+}
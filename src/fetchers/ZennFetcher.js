@@ -1,13 +1,28 @@
 import { BaseFetcher } from './BaseFetcher.js';
+import { getLogger } from '../utils/Logger.js';
+import { ZENN_API_CONFIG } from '../../config/constants.js';
+
+const logger = getLogger();
+
+// Post kind -> list endpoint / response key
+const POST_KINDS = {
+  article: 'articles',
+  book: 'books',
+  scrap: 'scraps'
+};
 
 /**
  * Zenn feed fetcher
+ * mode "rss" (default) reads topic feeds; mode "api" uses the Zenn JSON API
+ * and falls back to the feeds when every API request fails
  */
 export class ZennFetcher extends BaseFetcher {
   constructor(config) {
     super({
-      name: 'Zenn',
-      sourceKey: 'zenn',
+      ...config,
+      name: config.name || 'Zenn',
+      sourceKey: config.sourceKey || 'zenn',
+      type: 'zenn',
       feeds: config.feeds || [
         'https://zenn.dev/feed',
         'https://zenn.dev/topics/ai/feed',
@@ -17,12 +32,85 @@ export class ZennFetcher extends BaseFetcher {
       ],
       maxArticles: config.maxArticles || 20
     });
+
+    this.mode = config.mode || 'rss';
+    this.api = { ...ZENN_API_CONFIG, ...(config.api || {}) };
   }
 
   /**
    * Fetch articles from Zenn
    */
-  async fetch() {
-    return this.fetchAll();
+  async fetch(options = {}) {
+    return this.fetchAll(options);
+  }
+
+  /**
+   * Load items from topic feeds or from the API (RSS fallback on total failure)
+   */
+  async _loadFeeds(options = {}) {
+    if (this.mode !== 'api') {
+      return super._loadFeeds(options);
+    }
+
+    const result = await this._loadRequests(this._buildApiRequests());
+    if (result.successful.length > 0) {
+      return result;
+    }
+
+    logger.warn('Zenn API unavailable, falling back to RSS feeds', `ZennFetcher.${this.name}`);
+    return super._loadFeeds(options);
+  }
+
+  /**
+   * One request per topic and post kind needed by the configured types
+   */
+  _buildApiRequests() {
+    const kinds = new Set(this.api.types.map(type => (POST_KINDS[type] ? type : 'article')));
+    const requests = [];
+
+    for (const topic of this.api.topics) {
+      for (const kind of kinds) {
+        const params = new URLSearchParams({ topicname: topic, order: this.api.order });
+        const url = `${this.api.baseUrl}/${POST_KINDS[kind]}?${params}`;
+        requests.push({ url, load: () => this._loadPosts(url, kind) });
+      }
+    }
+
+    return requests;
+  }
+
+  /**
+   * Fetch one list page and convert posts, applying type and likes filters
+   */
+  async _loadPosts(url, kind) {
+    const data = await this._getJson(url);
+    const posts = Array.isArray(data?.[POST_KINDS[kind]]) ? data[POST_KINDS[kind]] : [];
+
+    return posts
+      .map(post => this._toItem(post, kind))
+      .filter(item => this.api.types.includes(item.metadata.type))
+      .filter(item => item.engagement.likes >= this.api.minLikes);
+  }
+
+  /**
+   * Build an rss-parser style item carrying likes and post details
+   */
+  _toItem(post, kind) {
+    return {
+      title: post.title,
+      link: `https://zenn.dev${post.path}`,
+      isoDate: post.published_at || post.created_at || null,
+      creator: post.user?.name || post.user?.username || null,
+      engagement: {
+        likes: post.liked_count ?? 0,
+        comments: post.comments_count ?? 0
+      },
+      metadata: {
+        // tech / idea for articles, otherwise the post kind
+        type: kind === 'article' ? post.article_type : kind,
+        emoji: post.emoji || null,
+        publication: post.publication?.display_name || post.publication?.name || null
+      }
+    };
   }
 }
@@ -0,0 +1,131 @@
+import { getLogger } from '../utils/Logger.js';
+
+const logger = getLogger();
+
+const ACTIONS = ['drop', 'downrank'];
+
+/**
+ * Keyword/regex based AI-relevance filter for a single source
+ *
+ * English terms match on word boundaries (so "AI" does not match "said"),
+ * Japanese terms match as substrings since Japanese has no word separators.
+ */
+export class RelevanceFilter {
+  constructor(config = {}, defaults = {}) {
+    const useDefaults = config.useDefaults !== false;
+    const base = useDefaults ? defaults : {};
+
+    this.action = ACTIONS.includes(config.action) ? config.action : 'drop';
+    this.include = this._buildMatchers(
+      this._mergeTerms(base.include, config.include),
+      [...(base.includePatterns || []), ...(config.includePatterns || [])]
+    );
+    this.exclude = this._buildMatchers(
+      this._mergeTerms(base.exclude, config.exclude),
+      [...(base.excludePatterns || []), ...(config.excludePatterns || [])]
+    );
+  }
+
+  /**
+   * Merge ja/en term lists
+   */
+  _mergeTerms(baseTerms = {}, terms = {}) {
+    return {
+      en: [...(baseTerms.en || []), ...(terms.en || [])],
+      ja: [...(baseTerms.ja || []), ...(terms.ja || [])]
+    };
+  }
+
+  /**
+   * Compile term lists and regex patterns into matchers
+   */
+  _buildMatchers(terms, patterns) {
+    const matchers = [];
+
+    for (const term of new Set(terms.en)) {
+      const escaped = term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      // Allow simple plurals (e.g., "LLMs")
+      matchers.push({ label: term, regex: new RegExp(`\\b${escaped}s?\\b`, 'i') });
+    }
+
+    for (const term of new Set(terms.ja)) {
+      const lowered = term.toLowerCase();
+      matchers.push({ label: term, test: text => text.toLowerCase().includes(lowered) });
+    }
+
+    for (const pattern of patterns) {
+      try {
+        matchers.push({ label: `/${pattern}/`, regex: new RegExp(pattern, 'i') });
+      } catch (error) {
+        logger.warn(`Invalid relevance pattern "${pattern}": ${error.message}`, 'RelevanceFilter');
+      }
+    }
+
+    return matchers;
+  }
+
+  /**
+   * Build the text to match against (title, snippet and tags)
+   */
+  _getText(article) {
+    return [article.title, article.summary, ...(article.tags || [])]
+      .filter(Boolean)
+      .join('\n');
+  }
+
+  /**
+   * Return labels of matchers that hit the text
+   */
+  _match(matchers, text) {
+    return matchers
+      .filter(matcher => matcher.regex ? matcher.regex.test(text) : matcher.test(text))
+      .map(matcher => matcher.label);
+  }
+
+  /**
+   * Evaluate a single article
+   */
+  evaluate(article) {
+    const text = this._getText(article);
+    const matched = this._match(this.include, text);
+    const excluded = this._match(this.exclude, text);
+
+    return {
+      relevant: matched.length > 0 && excluded.length === 0,
+      score: excluded.length > 0 ? 0 : matched.length,
+      matched,
+      excluded
+    };
+  }
+
+  /**
+   * Apply filter to articles
+   * Off-topic articles are dropped, or moved after relevant ones when action is "downrank"
+   */
+  apply(articles, sourceName = 'Unknown') {
+    const context = `RelevanceFilter.${sourceName}`;
+    const relevant = [];
+    const offTopic = [];
+
+    for (const article of articles) {
+      const result = this.evaluate(article);
+      article.relevance = result;
+
+      const title = article.title.slice(0, 60);
+      if (result.relevant) {
+        logger.debug(`Keep "${title}" (include: ${result.matched.join(', ')})`, context);
+        relevant.push(article);
+      } else {
+        const reason = result.excluded.length > 0
+          ? `exclude: ${result.excluded.join(', ')}`
+          : 'no include match';
+        logger.debug(`${this.action === 'drop' ? 'Drop' : 'Down-rank'} "${title}" (${reason})`, context);
+        offTopic.push(article);
+      }
+    }
+
+    logger.info(`Relevance: ${relevant.length} relevant, ${offTopic.length} off-topic (${this.action})`, context);
+
+    return this.action === 'drop' ? relevant : [...relevant, ...offTopic];
+  }
+}
@@ -1,14 +1,24 @@
 #!/usr/bin/env node
 
-import { HackerNewsFetcher } from './fetchers/HackerNewsFetcher.js';
-import { QiitaFetcher } from './fetchers/QiitaFetcher.js';
-import { ZennFetcher } from './fetchers/ZennFetcher.js';
+import { getSourceRegistry } from './fetchers/SourceRegistry.js';
 import { getDeduplicationService } from './services/DeduplicationService.js';
+import { getCacheService } from './services/CacheService.js';
+import { getBacklogService } from './services/BacklogService.js';
+import { getFeedHealthService } from './services/FeedHealthService.js';
+import { getHatenaBookmarkService } from './services/HatenaBookmarkService.js';
+import { getContentExtractionService } from './services/ContentExtractionService.js';
+import { getSummaryCacheService } from './services/SummaryCacheService.js';
 import { DiscordNotifier } from './services/DiscordNotifier.js';
 import { MessageFormatter } from './utils/MessageFormatter.js';
 import { getGeminiService } from './services/GeminiService.js';
+import { getArticleNormalizer } from './parsers/ArticleNormalizer.js';
+import { getRSSParser } from './parsers/RSSParser.js';
+import { getUrlCanonicalizer } from './utils/UrlCanonicalizer.js';
+import { RankingEngine } from './ranking/RankingEngine.js';
+import { StoryClusterer } from './ranking/StoryClusterer.js';
 import { getLogger } from './utils/Logger.js';
-import { readFileSync } from 'fs';
+import { WINDOW_CONFIG } from '../config/constants.js';
+import { readFileSync, realpathSync } from 'fs';
 import { fileURLToPath } from 'url';
 import path from 'path';
 
@@ -26,7 +36,7 @@ const logger = getLogger(isVerbose ? 'DEBUG' : 'INFO');
 /**
  * Main application
  */
-async function main() {
+export async function main() {
   const startTime = Date.now();
   logger.info('Starting AI News Notifier', 'main');
 
@@ -35,43 +45,61 @@ async function main() {
     const sourcesConfig = loadSourcesConfig();
     logger.info(`Loaded configuration for ${Object.keys(sourcesConfig.sources).length} sources`, 'main');
 
-    // Initialize fetchers
-    const fetchers = {
-      hackernews: new HackerNewsFetcher(sourcesConfig.sources.hackernews),
-      qiita: new QiitaFetcher(sourcesConfig.sources.qiita),
-      zenn: new ZennFetcher(sourcesConfig.sources.zenn)
-    };
+    // Apply URL canonicalization rules before any article is created
+    getUrlCanonicalizer().configure(sourcesConfig.canonicalUrl);
+
+    // Track feed health and quarantine failing feeds
+    const feedHealthService = getFeedHealthService();
+    feedHealthService.configure(sourcesConfig.feedHealth);
+
+    // Initialize fetchers from config
+    const { fetchers, errors: registryErrors } = getSourceRegistry().createAll(sourcesConfig.sources, {
+      relevance: sourcesConfig.relevance
+    });
+    const errors = registryErrors.map(({ sourceKey, error }) =>
+      `${sourcesConfig.sources[sourceKey].name || sourceKey}: ${error.message}`
+    );
+
+    // Resolve publication window (catch up from the last successful run)
+    const cacheService = getCacheService();
+    // A dry run has no side effects on persisted state
+    cacheService.setReadOnly(isDryRun);
+    await cacheService.ensureLoaded();
+    const fetchWindow = resolveFetchWindow(sourcesConfig.window, cacheService.getLastSuccessfulRun(), new Date(startTime));
+    logger.info(`Fetch window: ${fetchWindow.since.toISOString()} - ${fetchWindow.until?.toISOString() || 'now'} (${fetchWindow.reason})`, 'main');
 
     // Fetch all articles in parallel
-    logger.info('Fetching articles from all sources...', 'main');
-    const fetchResults = await Promise.allSettled([
-      fetchers.hackernews.fetch(),
-      fetchers.qiita.fetch(),
-      fetchers.zenn.fetch()
-    ]);
+    logger.info(`Fetching articles from ${fetchers.length} sources...`, 'main');
+    const fetchResults = await Promise.allSettled(
+      fetchers.map(fetcher => fetcher.fetch({ since: fetchWindow.since, until: fetchWindow.until, explicit: fetchWindow.explicit }))
+    );
 
     // Collect results
-    const articlesBySource = {
-      hackernews: [],
-      qiita: [],
-      zenn: []
-    };
-
-    const totalFetched = { hackernews: 0, qiita: 0, zenn: 0 };
-    const errors = [];
+    const articlesBySource = {};
+    const totalFetched = {};
+    const failedSources = [];
 
     for (const [index, result] of fetchResults.entries()) {
-      const sourceKey = Object.keys(articlesBySource)[index];
+      const fetcher = fetchers[index];
+      const sourceKey = fetcher.sourceKey;
+      const sourceName = sourcesConfig.sources[sourceKey]?.name || fetcher.name;
+
+      articlesBySource[sourceKey] = [];
+      totalFetched[sourceKey] = 0;
 
       if (result.status === 'fulfilled' && result.value?.articles) {
         articlesBySource[sourceKey] = result.value.articles;
         totalFetched[sourceKey] = result.value.itemCount || 0;
 
         if (result.value.failedCount > 0) {
-          errors.push(`${sourcesConfig.sources[sourceKey].name}: ${result.value.failedCount} feeds failed`);
+          errors.push(`${sourceName}: ${result.value.failedCount} feeds failed`);
+        }
+        if (result.value.feedCount === 0 && result.value.failedCount > 0) {
+          failedSources.push(sourceKey);
         }
       } else {
-        errors.push(`${sourcesConfig.sources[sourceKey].name}: ${result.reason?.message || 'Unknown error'}`);
+        errors.push(`${sourceName}: ${result.reason?.message || 'Unknown error'}`);
+        failedSources.push(sourceKey);
       }
     }
 
@@ -83,58 +111,132 @@ async function main() {
       logger.warn(`Some sources had errors: ${errors.join(', ')}`, 'main');
     }
 
-    // Filter out seen articles
+    // Load overflow articles queued by previous runs
+    const backlogConfig = sourcesConfig.backlog || {};
+    const backlogEnabled = backlogConfig.enabled !== false;
+    const backlogService = getBacklogService();
+    backlogService.configure(backlogConfig);
+    let backlogBySource = {};
+
+    if (backlogEnabled) {
+      await backlogService.load();
+      backlogBySource = backlogService.getArticlesBySource();
+    }
+
+    // Filter out seen articles (fresh articles first, so they win over queued copies)
     const dedupeService = getDeduplicationService();
-    const newArticlesBySource = {};
+    const candidatesBySource = {};
 
     for (const [sourceKey, articles] of Object.entries(articlesBySource)) {
-      if (articles.length > 0) {
-        const newArticles = await dedupeService.filterNew(articles);
-        // Limit articles per section
-        newArticlesBySource[sourceKey] = newArticles.slice(0, sourcesConfig.maxArticlesPerSection);
+      const queued = backlogBySource[sourceKey] || [];
+      if (articles.length > 0 || queued.length > 0) {
+        candidatesBySource[sourceKey] = [
+          ...await dedupeService.filterNew(articles),
+          ...await dedupeService.filterNew(queued)
+        ];
       }
     }
 
-    // Save updated cache
-    await dedupeService.save();
-
-    // Generate AI summaries for new articles
+    // Classify relevance before limiting, so limited slots go to the most relevant articles
     const geminiService = getGeminiService();
+    geminiService.configure(sourcesConfig.llm);
+    const normalizer = getArticleNormalizer();
+    const classificationConfig = sourcesConfig.classification || {};
+
+    if (classificationConfig.enabled !== false) {
+      // Queued articles keep their classification from the previous run
+      const unclassified = Object.values(candidatesBySource).flat().filter(article => !article.classification);
+      await geminiService.classifyBatch(unclassified);
+
+      for (const [sourceKey, candidates] of Object.entries(candidatesBySource)) {
+        candidatesBySource[sourceKey] = normalizer.filterByClassification(candidates, classificationConfig.minRelevance ?? 0);
+      }
+    }
+
+    // Add Hatena Bookmark counts to engagement for ranking
+    const hatenaBookmarkService = getHatenaBookmarkService();
+    hatenaBookmarkService.configure(sourcesConfig.hatenaBookmark);
+    await hatenaBookmarkService.lookup(Object.values(candidatesBySource).flat());
+
+    // Group articles about the same story across sources
+    const clusteringEnabled = sourcesConfig.clustering?.enabled !== false;
+    const clusterer = new StoryClusterer(sourcesConfig.clustering);
+    if (clusteringEnabled) {
+      clusterer.cluster(Object.values(candidatesBySource).flat());
+    }
+
+    // Rank by recency, engagement, cross-source mentions and relevance
+    const ranker = new RankingEngine(sourcesConfig.ranking);
+    let rankedBySource = ranker.rankAll(candidatesBySource);
+
+    // Keep one primary article per story
+    if (clusteringEnabled) {
+      rankedBySource = clusterer.collapse(rankedBySource);
+    }
+
+    // Limit articles per section (official sources are never cut)
+    const newArticlesBySource = {};
+    for (const [sourceKey, articles] of Object.entries(rankedBySource)) {
+      newArticlesBySource[sourceKey] = sourcesConfig.sources[sourceKey]?.priority === 'official'
+        ? articles
+        : articles.slice(0, sourcesConfig.maxArticlesPerSection);
+    }
+
+    // Generate AI summaries for new articles (cached summaries are reused even without a provider)
     if (geminiService.isEnabled()) {
+      // Give the summarizer the article body instead of the feed snippet
+      const contentExtractionService = getContentExtractionService();
+      contentExtractionService.configure(sourcesConfig.contentExtraction);
+      await contentExtractionService.extractAll(Object.values(newArticlesBySource).flat());
+
       logger.info('Generating AI summaries...', 'main');
-      for (const [sourceKey, articles] of Object.entries(newArticlesBySource)) {
-        if (articles.length > 0) {
-          newArticlesBySource[sourceKey] = await geminiService.summarizeBatch(articles);
-        }
-      }
     } else {
-      logger.info('Gemini service not enabled, skipping summaries', 'main');
+      logger.info('LLM provider not available, using cached summaries only', 'main');
     }
 
-    // Cleanup old cache entries
-    await dedupeService.cleanup();
+    getSummaryCacheService().configure({ ...sourcesConfig.summaryCache, readOnly: isDryRun });
+    // Official articles first, then by rank, so a spent LLM budget only cuts the lowest-ranked summaries
+    const summaryOrder = Object.values(newArticlesBySource).flat().sort((a, b) =>
+      Number(b.isOfficial()) - Number(a.isOfficial()) || (b.ranking?.score ?? 0) - (a.ranking?.score ?? 0)
+    );
+    await geminiService.summarizeBatch(summaryOrder);
 
     const totalNew = Object.values(newArticlesBySource).reduce((sum, articles) => sum + articles.length, 0);
     logger.info(`Found ${totalNew} new articles`, 'main');
 
+    const llmUsage = geminiService.getUsage();
+    logLLMUsage(llmUsage);
+
     // Format messages
     const formatter = new MessageFormatter(sourcesConfig.sources);
 
+    const feedHealth = {
+      events: feedHealthService.getEvents(),
+      quarantined: feedHealthService.getQuarantinedFeeds()
+    };
+
     if (totalNew === 0) {
       logger.info('No new articles to send', 'main');
+      if (!isDryRun) {
+        await saveRunState({ dedupeService, backlogService, backlogEnabled, rankedBySource, cacheService, fetchWindow, startTime, failedSources });
+      }
+      await sendMaintenanceMessage(formatter, feedHealth);
       return;
     }
 
     if (isDryRun) {
-      // Dry run: just print what would be sent
+      // Dry run: just print what would be sent (nothing is marked as seen)
       const message = formatter.formatDryRun(newArticlesBySource);
       console.log('\n' + message + '\n');
+      if (feedHealth.events.length > 0) {
+        console.log(formatter.formatMaintenance(feedHealth) + '\n');
+      }
       logger.info('Dry run completed, no notifications sent', 'main');
       return;
     }
 
     // Send to Discord
-    const messages = formatter.format(newArticlesBySource, totalItems);
+    const messages = formatter.format(newArticlesBySource, totalItems, { errors, feedHealth, llmUsage });
     logger.info(`Sending ${messages.length} message(s) to Discord`, 'main');
 
     const webhookUrl = process.env.DISCORD_WEBHOOK_URL;
@@ -143,7 +245,21 @@ async function main() {
     }
 
     const notifier = new DiscordNotifier(webhookUrl);
-    await notifier.send(messages);
+    const deliveredArticles = Object.values(newArticlesBySource).flat();
+
+    try {
+      await notifier.send(messages);
+    } catch (error) {
+      // Keep articles from messages sent before the failure out of the next run
+      const sentMessages = messages.slice(0, error.sentCount ?? 0);
+      dedupeService.commit(filterArticlesInMessages(deliveredArticles, sentMessages));
+      await dedupeService.save();
+      throw error;
+    }
+
+    // Mark delivered articles as seen; cut or failed candidates stay eligible
+    dedupeService.commit(deliveredArticles);
+    await saveRunState({ dedupeService, backlogService, backlogEnabled, rankedBySource, cacheService, fetchWindow, startTime, failedSources });
 
     // Log summary
     const duration = ((Date.now() - startTime) / 1000).toFixed(2);
@@ -167,6 +283,155 @@ async function main() {
   }
 }
 
+/**
+ * Log LLM requests / tokens used by this run against the budget
+ */
+function logLLMUsage(usage) {
+  const limit = (value, max) => (max > 0 ? `${value}/${max}` : `${value}`);
+  const skipped = usage.skipped.classification + usage.skipped.summary;
+
+  logger.info(
+    `LLM usage: ${limit(usage.requests, usage.maxRequests)} requests, ` +
+    `${limit(usage.totalTokens, usage.maxTokens)} tokens (prompt ${usage.promptTokens}, output ${usage.outputTokens})`,
+    'main'
+  );
+
+  if (skipped > 0) {
+    logger.warn(
+      `LLM budget exhausted: ${usage.skipped.classification} classifications and ${usage.skipped.summary} summaries skipped`,
+      'main'
+    );
+  }
+}
+
+/**
+ * Send feed health changes as a separate message when there is no digest
+ */
+async function sendMaintenanceMessage(formatter, feedHealth) {
+  const webhookUrl = process.env.DISCORD_WEBHOOK_URL;
+  if (feedHealth.events.length === 0 || isDryRun || !webhookUrl) {
+    return;
+  }
+
+  try {
+    await new DiscordNotifier(webhookUrl).send(formatter.formatMaintenance(feedHealth));
+  } catch (error) {
+    logger.warn(`Failed to send maintenance message: ${error.message}`, 'main');
+  }
+}
+
+/**
+ * Read a date CLI option (--name=value or --name value)
+ */
+function parseDateOption(name) {
+  const index = args.findIndex(arg => arg === name || arg.startsWith(`${name}=`));
+  if (index === -1) {
+    return null;
+  }
+
+  const value = args[index].includes('=') ? args[index].split('=').slice(1).join('=') : args[index + 1];
+  const date = new Date(value);
+  if (!value || Number.isNaN(date.getTime())) {
+    throw new Error(`Invalid ${name} value: ${value}`);
+  }
+
+  return date;
+}
+
+/**
+ * Resolve the publication window for this run
+ * Explicit --since/--until win; otherwise the window starts at the last successful run,
+ * capped at maxHours so a long outage does not flood the digest
+ */
+function resolveFetchWindow(config = {}, lastSuccessfulRun, now) {
+  const defaultHours = config.defaultHours ?? WINDOW_CONFIG.defaultHours;
+  const maxHours = config.maxHours ?? WINDOW_CONFIG.maxHours;
+  const overlapHours = config.overlapHours ?? WINDOW_CONFIG.overlapHours;
+  const hourMs = 60 * 60 * 1000;
+
+  const since = parseDateOption('--since');
+  const until = parseDateOption('--until');
+
+  if (since || until) {
+    return {
+      since: since || new Date((until || now).getTime() - defaultHours * hourMs),
+      until,
+      explicit: true,
+      reason: 'CLI'
+    };
+  }
+
+  let hours = defaultHours;
+  let reason = 'default';
+
+  if (lastSuccessfulRun) {
+    hours = (now - lastSuccessfulRun) / hourMs + overlapHours;
+    reason = `last successful run ${lastSuccessfulRun.toISOString()}`;
+  }
+
+  if (hours > maxHours) {
+    hours = maxHours;
+    reason += `, capped at ${maxHours}h`;
+  }
+
+  return {
+    since: new Date(now.getTime() - hours * hourMs),
+    until: null,
+    explicit: false,
+    reason
+  };
+}
+
+/**
+ * Record the run start as the next catch-up point
+ * Skipped for explicit CLI windows and when a whole source failed, so the gap is retried
+ */
+function recordSuccessfulRun(cacheService, fetchWindow, startTime, failedSources = []) {
+  if (fetchWindow.explicit) {
+    return;
+  }
+
+  if (failedSources.length > 0) {
+    logger.warn(`Not advancing last successful run, failed sources: ${failedSources.join(', ')}`, 'main');
+    return;
+  }
+
+  cacheService.setLastSuccessfulRun(new Date(startTime));
+}
+
+/**
+ * Persist state after a completed run (with or without a digest)
+ * Trims expired seen entries and queues undelivered candidates in the backlog
+ */
+async function saveRunState({ dedupeService, backlogService, backlogEnabled, rankedBySource, cacheService, fetchWindow, startTime, failedSources }) {
+  const overflow = Object.values(rankedBySource).flat().filter(article => !dedupeService.isSeen(article));
+
+  // Feed validators are safe to keep only if no fetched article is left behind,
+  // since the next run gets 304 for unchanged feeds
+  if (backlogEnabled || overflow.length === 0) {
+    getRSSParser().commitValidators();
+  }
+
+  recordSuccessfulRun(cacheService, fetchWindow, startTime, failedSources);
+  await dedupeService.cleanup();
+  await dedupeService.save();
+
+  // Queue undelivered candidates for later runs
+  if (backlogEnabled) {
+    backlogService.replace(overflow);
+    await backlogService.save();
+  }
+}
+
+/**
+ * Get articles whose URL appears in any of the given messages
+ */
+function filterArticlesInMessages(articles, messages) {
+  return articles.filter(article =>
+    messages.some(message => message.includes(`<${article.url}>`))
+  );
+}
+
 /**
  * Load sources configuration
  */
@@ -176,8 +441,10 @@ function loadSourcesConfig() {
   return JSON.parse(configContent);
 }
 
-// Run main
-main().catch(error => {
-  console.error('Unhandled error:', error);
-  process.exit(1);
-});
+// Run main (unless imported, e.g. by the offline check)
+if (process.argv[1] && realpathSync(process.argv[1]) === __filename) {
+  main().catch(error => {
+    console.error('Unhandled error:', error);
+    process.exit(1);
+  });
+}
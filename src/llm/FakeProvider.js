@@ -0,0 +1,83 @@
+import { LLMProvider } from './LLMProvider.js';
+
+// Title lines in summarization / classification prompts
+const TITLE_PATTERN = /^(?:タイトル|リリース|Title):\s*(.+)$/m;
+// Rough characters per token for usage estimates
+const CHARS_PER_TOKEN = 4;
+
+/**
+ * Deterministic offline provider
+ *
+ * Builds responses from the prompt alone: JSON requests get one
+ * schema-conforming item per "id:" block, text requests get a summary in the
+ * TITLE:/SUMMARY: format. Lets the whole pipeline run without network access.
+ * Token usage is estimated from text length.
+ */
+export class FakeProvider extends LLMProvider {
+  /**
+   * Build a response from the prompt
+   */
+  async _generate({ prompt, schema = null }) {
+    const text = schema ? JSON.stringify(this._buildJson(prompt, schema)) : this._buildText(prompt);
+
+    return {
+      text,
+      usage: {
+        promptTokens: Math.ceil(prompt.length / CHARS_PER_TOKEN),
+        outputTokens: Math.ceil(text.length / CHARS_PER_TOKEN)
+      }
+    };
+  }
+
+  /**
+   * Plain text summary (TITLE:/SUMMARY: when the prompt asks for it)
+   */
+  _buildText(prompt) {
+    const title = prompt.match(TITLE_PATTERN)?.[1]?.trim() || '';
+    if (/TITLE:/.test(prompt)) {
+      return `TITLE: ${title}\nSUMMARY: [fake] ${title}`;
+    }
+    return `[fake] ${title}`;
+  }
+
+  /**
+   * One item per "id:" block for array schemas, else a single item
+   */
+  _buildJson(prompt, schema) {
+    if (schema.type !== 'array') {
+      return this._buildValue(schema, { id: null, title: prompt.match(TITLE_PATTERN)?.[1]?.trim() || '' });
+    }
+
+    const blocks = prompt.split(/^(?=id:\s)/m).filter(block => /^id:\s/.test(block));
+    return blocks.map(block => this._buildValue(schema.items, {
+      id: block.match(/^id:\s*(.+)$/m)[1].trim(),
+      title: block.match(TITLE_PATTERN)?.[1]?.trim() || ''
+    }));
+  }
+
+  /**
+   * Fixed value for a schema node (first enum value, true, 0.5, ...)
+   */
+  _buildValue(schema, entry, key = null) {
+    if (schema.enum?.length > 0) return schema.enum[0];
+
+    switch (schema.type) {
+      case 'object':
+        return Object.fromEntries(
+          Object.entries(schema.properties || {}).map(([name, child]) => [name, this._buildValue(child, entry, name)])
+        );
+      case 'array':
+        return [];
+      case 'boolean':
+        return true;
+      case 'number':
+        return 0.5;
+      case 'integer':
+        return 0;
+      default:
+        if (key === 'id') return entry.id;
+        if (key === 'summary') return `[fake] ${entry.title}`;
+        return '';
+    }
+  }
+}
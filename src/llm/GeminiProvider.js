@@ -0,0 +1,46 @@
+import { GoogleGenerativeAI } from '@google/generative-ai';
+import { LLMProvider } from './LLMProvider.js';
+
+/**
+ * Google Gemini provider (@google/generative-ai)
+ * JSON schemas are passed as responseSchema (the SDK uses the same type names)
+ */
+export class GeminiProvider extends LLMProvider {
+  constructor(config = {}) {
+    super(config);
+
+    const key = config.apiKey || process.env[config.apiKeyEnv];
+    this.client = key ? new GoogleGenerativeAI(key).getGenerativeModel({ model: this.model }) : null;
+  }
+
+  /**
+   * Check if an API key was found
+   */
+  isAvailable() {
+    return this.client !== null;
+  }
+
+  /**
+   * Send a generateContent request
+   */
+  async _generate({ prompt, temperature, maxOutputTokens, schema = null }) {
+    const result = await this.client.generateContent({
+      contents: [{ role: 'user', parts: [{ text: prompt }] }],
+      generationConfig: {
+        temperature,
+        maxOutputTokens,
+        ...(schema ? { responseMimeType: 'application/json', responseSchema: schema } : {})
+      }
+    });
+
+    // Thinking tokens are billed as output
+    const usage = result.response.usageMetadata || {};
+    return {
+      text: result.response.text(),
+      usage: {
+        promptTokens: usage.promptTokenCount ?? 0,
+        outputTokens: (usage.candidatesTokenCount ?? 0) + (usage.thoughtsTokenCount ?? 0)
+      }
+    };
+  }
+}
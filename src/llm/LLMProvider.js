@@ -0,0 +1,92 @@
+import { RetryHandler } from '../utils/RetryHandler.js';
+
+/**
+ * Abstract base class for LLM providers
+ *
+ * Providers turn a request ({ prompt, temperature, maxOutputTokens, schema })
+ * into { text, usage: { promptTokens, outputTokens } }. schema is a plain
+ * JSON schema; when set, text is JSON.
+ * Retries and the per-minute request limit are applied here; with a
+ * UsageTracker, every attempt (including retries) is counted against the budget.
+ */
+export class LLMProvider {
+  constructor(config = {}) {
+    if (new.target === LLMProvider) {
+      throw new Error('LLMProvider is abstract and cannot be instantiated directly');
+    }
+
+    this.name = config.name;
+    this.model = config.model;
+    this.retryHandler = new RetryHandler(config.retry || {});
+    const requestsPerMinute = config.rateLimit?.requestsPerMinute || 0;
+    this.minInterval = requestsPerMinute > 0 ? Math.ceil(60000 / requestsPerMinute) : 0;
+    this._nextSlot = 0;
+  }
+
+  /**
+   * Check if the provider can be used (e.g., API key present)
+   */
+  isAvailable() {
+    return true;
+  }
+
+  /**
+   * Generate a completion with retry and rate limiting
+   * Each attempt reserves one request from usage (when given) and records its
+   * token usage; once the budget is spent, the call fails without retrying
+   */
+  async generate(request, usage = null) {
+    return this.retryHandler.execute(async () => {
+      if (usage && !usage.reserve()) {
+        const error = new Error('LLM budget exhausted');
+        error.budgetExceeded = true;
+        error.retryable = false;
+        throw error;
+      }
+
+      await this._throttle();
+
+      let response = null;
+      try {
+        response = await this._generate(request);
+        return response;
+      } finally {
+        usage?.record(response?.usage);
+      }
+    }, `LLMProvider.${this.name}`);
+  }
+
+  /**
+   * Send a single request - to be implemented by subclasses
+   */
+  async _generate(request) {
+    throw new Error('_generate() must be implemented by subclass');
+  }
+
+  /**
+   * Wait for the next request slot (slots are reserved, so parallel calls queue up)
+   */
+  async _throttle() {
+    if (this.minInterval === 0) return;
+
+    const now = Date.now();
+    const slot = Math.max(now, this._nextSlot);
+    this._nextSlot = slot + this.minInterval;
+
+    if (slot > now) {
+      await new Promise(resolve => setTimeout(resolve, slot - now));
+    }
+  }
+
+  /**
+   * Get provider info
+   */
+  getInfo() {
+    return {
+      name: this.name,
+      model: this.model,
+      minInterval: this.minInterval,
+      maxRetries: this.retryHandler.maxRetries
+    };
+  }
+}
@@ -0,0 +1,58 @@
+import { LLMProvider } from './LLMProvider.js';
+import { getHttpClient } from '../utils/HttpClient.js';
+
+/**
+ * Provider for a local Ollama server (/api/chat, non-streaming)
+ * JSON schemas are passed as the format parameter (structured outputs)
+ */
+export class OllamaProvider extends LLMProvider {
+  constructor(config = {}) {
+    super(config);
+
+    this.baseUrl = (config.baseUrl || '').replace(/\/+$/, '');
+    this.timeout = config.timeout;
+    this.httpClient = config.httpClient || getHttpClient();
+  }
+
+  /**
+   * Check if a server URL is configured
+   */
+  isAvailable() {
+    return Boolean(this.baseUrl);
+  }
+
+  /**
+   * Replace the HTTP layer (e.g., with a stub)
+   */
+  setHttpClient(httpClient) {
+    this.httpClient = httpClient;
+  }
+
+  /**
+   * Send a chat request
+   */
+  async _generate({ prompt, temperature, maxOutputTokens, schema = null }) {
+    const body = {
+      model: this.model,
+      messages: [{ role: 'user', content: prompt }],
+      stream: false,
+      options: { temperature, num_predict: maxOutputTokens }
+    };
+
+    if (schema) {
+      body.format = schema;
+    }
+
+    const response = await this.httpClient.post(`${this.baseUrl}/api/chat`, body, { timeout: this.timeout });
+
+    const text = response.data?.message?.content;
+    if (typeof text !== 'string') {
+      throw new Error('Response has no message content');
+    }
+
+    return {
+      text,
+      usage: { promptTokens: response.data.prompt_eval_count ?? 0, outputTokens: response.data.eval_count ?? 0 }
+    };
+  }
+}
@@ -0,0 +1,112 @@
+import { LLMProvider } from './LLMProvider.js';
+import { getHttpClient } from '../utils/HttpClient.js';
+
+/**
+ * Provider for OpenAI-compatible chat completions endpoints
+ * (OpenAI, vLLM, LM Studio, Azure OpenAI)
+ *
+ * Azure: set baseUrl to the deployment URL, apiKeyHeader to 'api-key' and apiVersion.
+ * Local servers usually need no API key.
+ */
+export class OpenAICompatibleProvider extends LLMProvider {
+  constructor(config = {}) {
+    super(config);
+
+    this.baseUrl = (config.baseUrl || '').replace(/\/+$/, '');
+    this.apiKey = config.apiKey || (config.apiKeyEnv ? process.env[config.apiKeyEnv] : null) || null;
+    this.apiKeyHeader = config.apiKeyHeader || 'Authorization';
+    this.apiVersion = config.apiVersion || null;
+    this.jsonMode = config.jsonMode || 'schema';
+    this.timeout = config.timeout;
+    this.httpClient = config.httpClient || getHttpClient();
+  }
+
+  /**
+   * Check if an endpoint is configured
+   */
+  isAvailable() {
+    return Boolean(this.baseUrl);
+  }
+
+  /**
+   * Replace the HTTP layer (e.g., with a stub)
+   */
+  setHttpClient(httpClient) {
+    this.httpClient = httpClient;
+  }
+
+  /**
+   * Request headers (Bearer token for OpenAI, raw key for Azure's api-key header)
+   */
+  _headers() {
+    if (!this.apiKey) return {};
+    const value = this.apiKeyHeader.toLowerCase() === 'authorization' ? `Bearer ${this.apiKey}` : this.apiKey;
+    return { [this.apiKeyHeader]: value };
+  }
+
+  /**
+   * Structured output setting
+   * Top-level arrays are not allowed, so array schemas are wrapped in { items }
+   */
+  _responseFormat(schema) {
+    if (!schema || this.jsonMode === 'none') return undefined;
+    if (this.jsonMode === 'object') return { type: 'json_object' };
+
+    const wrapped = schema.type === 'array'
+      ? { type: 'object', properties: { items: schema }, required: ['items'] }
+      : schema;
+    return { type: 'json_schema', json_schema: { name: 'response', schema: wrapped } };
+  }
+
+  /**
+   * Unwrap { items: [...] } (or any single array property) for array schemas
+   */
+  _unwrap(text, schema) {
+    if (schema?.type !== 'array') return text;
+
+    try {
+      const parsed = JSON.parse(text);
+      if (parsed && !Array.isArray(parsed) && typeof parsed === 'object') {
+        const array = Object.values(parsed).find(Array.isArray);
+        if (array) return JSON.stringify(array);
+      }
+    } catch {
+      // Left for the caller to report
+    }
+    return text;
+  }
+
+  /**
+   * Send a chat completions request
+   */
+  async _generate({ prompt, temperature, maxOutputTokens, schema = null }) {
+    const query = this.apiVersion ? `?api-version=${encodeURIComponent(this.apiVersion)}` : '';
+    const body = {
+      model: this.model,
+      messages: [{ role: 'user', content: prompt }],
+      temperature,
+      max_tokens: maxOutputTokens
+    };
+
+    const responseFormat = this._responseFormat(schema);
+    if (responseFormat) {
+      body.response_format = responseFormat;
+    }
+
+    const response = await this.httpClient.post(`${this.baseUrl}/chat/completions${query}`, body, {
+      headers: this._headers(),
+      timeout: this.timeout
+    });
+
+    const text = response.data?.choices?.[0]?.message?.content;
+    if (typeof text !== 'string') {
+      throw new Error('Response has no message content');
+    }
+
+    const usage = response.data.usage || {};
+    return {
+      text: this._unwrap(text, schema),
+      usage: { promptTokens: usage.prompt_tokens ?? 0, outputTokens: usage.completion_tokens ?? 0 }
+    };
+  }
+}
@@ -0,0 +1,76 @@
+import { GeminiProvider } from './GeminiProvider.js';
+import { OpenAICompatibleProvider } from './OpenAICompatibleProvider.js';
+import { OllamaProvider } from './OllamaProvider.js';
+import { FakeProvider } from './FakeProvider.js';
+import { LLM_CONFIG } from '../../config/constants.js';
+
+/**
+ * Registry mapping LLM provider names to provider classes
+ */
+export class ProviderRegistry {
+  constructor() {
+    this.types = new Map();
+
+    // Built-in providers
+    this.register('gemini', GeminiProvider);
+    this.register('openai', OpenAICompatibleProvider);
+    this.register('ollama', OllamaProvider);
+    this.register('fake', FakeProvider);
+  }
+
+  /**
+   * Register a provider class
+   */
+  register(name, ProviderClass) {
+    this.types.set(name, ProviderClass);
+  }
+
+  /**
+   * Check if a provider is registered
+   */
+  has(name) {
+    return this.types.has(name);
+  }
+
+  /**
+   * Resolve provider settings: constants, then sources.json (llm.providers.<name>)
+   * The LLM_PROVIDER environment variable overrides the configured provider
+   */
+  resolveConfig(config = {}) {
+    const name = process.env.LLM_PROVIDER || config.provider || LLM_CONFIG.provider;
+    const defaults = LLM_CONFIG.providers[name] || {};
+    const overrides = config.providers?.[name] || {};
+
+    return {
+      ...defaults,
+      ...overrides,
+      name,
+      retry: { ...defaults.retry, ...overrides.retry },
+      rateLimit: { ...defaults.rateLimit, ...overrides.rateLimit }
+    };
+  }
+
+  /**
+   * Create the configured provider
+   */
+  create(config = {}) {
+    const resolved = this.resolveConfig(config);
+    const ProviderClass = this.types.get(resolved.name);
+
+    if (!ProviderClass) {
+      throw new Error(`Unknown LLM provider "${resolved.name}"`);
+    }
+
+    return new ProviderClass(resolved);
+  }
+}
+
+// Singleton instance
+let registryInstance = null;
+
+export function getProviderRegistry() {
+  if (!registryInstance) {
+    registryInstance = new ProviderRegistry();
+  }
+  return registryInstance;
+}
@@ -0,0 +1,104 @@
+import { LLM_CONFIG } from '../../config/constants.js';
+
+/**
+ * Per-run LLM usage accounting and budget
+ *
+ * Counts requests (every attempt, including retries) and prompt/output tokens
+ * reported by the provider, and articles left without a model result once a
+ * limit is reached. Requests are reserved before dispatch, so parallel calls
+ * cannot exceed maxRequests.
+ */
+export class UsageTracker {
+  constructor(budget = {}) {
+    this.configure(budget);
+    this.reset();
+  }
+
+  /**
+   * Apply limits from sources.json (llm.budget)
+   */
+  configure(budget = {}) {
+    const merged = { ...LLM_CONFIG.budget, ...budget };
+    this.maxRequests = merged.maxRequests;
+    this.maxTokens = merged.maxTokens;
+  }
+
+  /**
+   * Clear counters
+   */
+  reset() {
+    this.requests = 0;
+    this.pending = 0;
+    this.promptTokens = 0;
+    this.outputTokens = 0;
+    this.skipped = { classification: 0, summary: 0 };
+  }
+
+  /**
+   * Reserve one request before dispatch (false when the budget is spent)
+   */
+  reserve() {
+    if (this.remainingRequests() === 0) {
+      return false;
+    }
+    this.pending++;
+    return true;
+  }
+
+  /**
+   * Record one reserved request (failed requests count, with whatever usage is known)
+   */
+  record(usage = {}) {
+    this.pending = Math.max(0, this.pending - 1);
+    this.requests++;
+    this.promptTokens += usage.promptTokens || 0;
+    this.outputTokens += usage.outputTokens || 0;
+  }
+
+  /**
+   * Record articles skipped because the budget ran out
+   */
+  skip(stage, count) {
+    this.skipped[stage] = (this.skipped[stage] || 0) + count;
+  }
+
+  /**
+   * Total tokens used
+   */
+  getTotalTokens() {
+    return this.promptTokens + this.outputTokens;
+  }
+
+  /**
+   * Check if a request or token limit has been reached
+   */
+  isExhausted() {
+    return (this.maxRequests > 0 && this.requests >= this.maxRequests) ||
+      (this.maxTokens > 0 && this.getTotalTokens() >= this.maxTokens);
+  }
+
+  /**
+   * Requests that may still be dispatched (Infinity when unlimited)
+   */
+  remainingRequests() {
+    if (this.isExhausted()) return 0;
+    if (this.maxRequests <= 0) return Infinity;
+    return Math.max(0, this.maxRequests - this.requests - this.pending);
+  }
+
+  /**
+   * Usage for logs and the digest footer
+   */
+  getSummary() {
+    return {
+      requests: this.requests,
+      promptTokens: this.promptTokens,
+      outputTokens: this.outputTokens,
+      totalTokens: this.getTotalTokens(),
+      maxRequests: this.maxRequests,
+      maxTokens: this.maxTokens,
+      exhausted: this.isExhausted(),
+      skipped: { ...this.skipped }
+    };
+  }
+}
@@ -1,21 +1,55 @@
 import crypto from 'crypto';
+import { getUrlCanonicalizer } from '../utils/UrlCanonicalizer.js';
+
+// Display icons for engagement metrics, in display order
+const ENGAGEMENT_ICONS = {
+  points: '🔺',
+  comments: '🗨️',
+  likes: '👍',
+  stocks: '📌',
+  bookmarks: '🔖',
+  stars: '⭐'
+};
 
 /**
  * Article model representing a normalized news article
  */
 export class Article {
-  constructor({ title, url, source, publishedAt = null, author = null, summary = null, tags = [] }) {
+  constructor({ title, url, source, publishedAt = null, author = null, summary = null, tags = [], engagement = {}, discussionUrl = null, metadata = {}, content = null, priority = null }) {
     this.title = this._sanitize(title);
-    this.url = this._normalizeUrl(url);
+    // Displayed / linked URL, kept as published (hosts may only serve on www. or http)
+    this.url = url ? url.trim() : '';
+    // Deduplication key (see UrlCanonicalizer for the rules)
+    this.canonicalUrl = this._normalizeUrl(url);
     this.source = source;
     this.publishedAt = publishedAt ? new Date(publishedAt) : null;
     this.author = author;
     this.summary = summary ? this._truncate(summary, 200) : null;
+    // Longer body text used as LLM input (e.g., arXiv abstract), not displayed
+    this.content = content;
     this.tags = Array.isArray(tags) ? tags : [];
+    // Engagement metrics when the source exposes them (points, comments, likes, ...)
+    this.engagement = engagement || {};
+    // Comment thread when it differs from the article (e.g., the HN item page)
+    this.discussionUrl = discussionUrl;
+    // Source-specific details (e.g., Zenn article type, emoji, publication)
+    this.metadata = metadata || {};
+    // Source priority ("official" pins the article to the top of the digest)
+    this.priority = priority;
     this.id = this._generateId();
+    this.fetchedAt = new Date();
     // AI-generated fields
     this.aiSummary = null;
     this.translatedTitle = null;
+    // Keyword relevance result (set by RelevanceFilter)
+    this.relevance = null;
+    // LLM classification ({ aiRelated, relevance, category, source: 'llm' | 'keywords' | 'fallback', provider })
+    this.classification = null;
+    // Ranking result ({ score, breakdown }, set by RankingEngine)
+    this.ranking = null;
+    // Cross-source story clustering (set by StoryClusterer)
+    this.clusterId = null;
+    this.related = [];
   }
 
   /**
@@ -32,6 +66,28 @@ export class Article {
     this.translatedTitle = title;
   }
 
+  /**
+   * Set relevance classification
+   */
+  setClassification(classification) {
+    this.classification = classification;
+  }
+
+  /**
+   * Attach another article about the same story (and its related entries)
+   */
+  addRelated(article) {
+    const entries = [
+      { id: article.id, source: article.source, url: article.url, title: article.title, publishedAt: article.publishedAt },
+      ...article.related
+    ];
+    for (const entry of entries) {
+      if (entry.id !== this.id && !this.related.some(related => related.id === entry.id)) {
+        this.related.push(entry);
+      }
+    }
+  }
+
   /**
    * Get display title (translated or original)
    */
@@ -40,39 +96,59 @@ export class Article {
   }
 
   /**
-   * Generate unique ID using SHA-256 hash
+   * Generate unique ID using SHA-256 hash of the canonical URL
    */
   _generateId() {
-    const data = `${this.source}:${this.url}`;
+    return this._hash(`${this.source}:${this.canonicalUrl}`);
+  }
+
+  /**
+   * SHA-256 hex digest
+   */
+  _hash(data) {
     return crypto.createHash('sha256').update(data).digest('hex');
   }
 
   /**
-   * Normalize URL (remove trailing slash, UTM parameters)
+   * Normalize URL (see UrlCanonicalizer for the rules)
    */
   _normalizeUrl(url) {
+    return getUrlCanonicalizer().canonicalize(url);
+  }
+
+  /**
+   * URL form hashed into IDs before canonicalization
+   * (trailing slash and utm_* parameters removed)
+   */
+  _legacyNormalizeUrl(url) {
     if (!url) return '';
 
     let normalized = url.trim();
-
-    // Remove trailing slash
     if (normalized.endsWith('/')) {
       normalized = normalized.slice(0, -1);
     }
 
     try {
       const urlObj = new URL(normalized);
-      // Remove UTM parameters
       const utmParams = ['utm_source', 'utm_medium', 'utm_campaign', 'utm_term', 'utm_content'];
       utmParams.forEach(param => urlObj.searchParams.delete(param));
       normalized = urlObj.toString();
     } catch {
-      // Invalid URL, return as-is
+      // Invalid URL, keep as-is
     }
 
     return normalized;
   }
 
+  /**
+   * Replace the canonical URL (e.g., with a resolved one) and regenerate ID
+   * The displayed URL is unchanged
+   */
+  setCanonicalUrl(url) {
+    this.canonicalUrl = this._normalizeUrl(url);
+    this.id = this._generateId();
+  }
+
   /**
    * Sanitize title (remove extra whitespace)
    */
@@ -90,6 +166,16 @@ export class Article {
     return text.slice(0, maxLength - 3) + '...';
   }
 
+  /**
+   * Compact engagement counts for display (e.g., "👍 12・📌 5")
+   */
+  _formatEngagement() {
+    return Object.entries(ENGAGEMENT_ICONS)
+      .filter(([key]) => this.engagement[key] > 0)
+      .map(([key, icon]) => `${icon} ${this.engagement[key]}`)
+      .join('・');
+  }
+
   /**
    * Get hash for deduplication
    */
@@ -97,16 +183,82 @@ export class Article {
     return this.id;
   }
 
+  /**
+   * Get hash used by older versions (for seen.json written before canonicalization)
+   */
+  getLegacyHash() {
+    return this._hash(`${this.source}:${this._legacyNormalizeUrl(this.url)}`);
+  }
+
+  /**
+   * Serialize durable fields (used by the backlog queue)
+   */
+  toJSON() {
+    return {
+      title: this.title,
+      url: this.url,
+      canonicalUrl: this.canonicalUrl,
+      source: this.source,
+      publishedAt: this.publishedAt?.toISOString() || null,
+      author: this.author,
+      summary: this.summary,
+      content: this.content,
+      tags: this.tags,
+      engagement: this.engagement,
+      discussionUrl: this.discussionUrl,
+      metadata: this.metadata,
+      priority: this.priority,
+      fetchedAt: this.fetchedAt.toISOString(),
+      relevance: this.relevance,
+      classification: this.classification,
+      related: this.related.map(entry => ({ ...entry, publishedAt: entry.publishedAt?.toISOString() || null }))
+    };
+  }
+
+  /**
+   * Restore article from toJSON() output
+   */
+  static fromJSON(data) {
+    const article = new Article(data);
+    // Keep a resolved canonical URL so the ID matches fresh copies
+    if (data.canonicalUrl && data.canonicalUrl !== article.canonicalUrl) {
+      article.setCanonicalUrl(data.canonicalUrl);
+    }
+    article.fetchedAt = data.fetchedAt ? new Date(data.fetchedAt) : article.fetchedAt;
+    article.relevance = data.relevance || null;
+    article.classification = data.classification || null;
+    article.related = (data.related || []).map(entry => ({
+      ...entry,
+      publishedAt: entry.publishedAt ? new Date(entry.publishedAt) : null
+    }));
+    return article;
+  }
+
+  /**
+   * Check if article comes from an official (vendor) source
+   */
+  isOfficial() {
+    return this.priority === 'official';
+  }
+
   /**
    * Format for Discord display (simplified with AI summary)
+   * Options: { showSource } prefixes the title with the source name
    */
-  toDiscordFormat() {
+  toDiscordFormat(sourceNames = {}, options = {}) {
     const lines = [];
 
-    // Title (translated or original, truncated to 100 chars)
+    // Title (translated or original, truncated to 100 chars; official titles in bold)
     const displayTitle = this.getDisplayTitle();
-    const title = this._truncate(displayTitle, 100);
-    lines.push(`1. ${title}`);
+    let title = this._truncate(this.metadata.emoji ? `${this.metadata.emoji} ${displayTitle}` : displayTitle, 100);
+    if (this.isOfficial()) {
+      title = `**${title}**`;
+    }
+    if (options.showSource) {
+      title = `${sourceNames[this.source] || this.source}: ${title}`;
+    }
+    const engagement = this._formatEngagement();
+    lines.push(engagement ? `1. ${title}（${engagement}）` : `1. ${title}`);
 
     // AI Summary (if available)
     if (this.aiSummary) {
@@ -116,6 +268,17 @@ export class Article {
     // URL (wrapped in angle brackets to disable embeds)
     lines.push(`🔗 <${this.url}>`);
 
+    // Discussion thread (skipped when the article itself is the thread)
+    if (this.discussionUrl && this.discussionUrl !== this.url) {
+      lines.push(`🗨️ <${this.discussionUrl}>`);
+    }
+
+    // Same story on other sources
+    if (this.related.length > 0) {
+      const links = this.related.map(entry => `[${sourceNames[entry.source] || entry.source}](<${entry.url}>)`);
+      lines.push(`🔁 also on: ${links.join(', ')}`);
+    }
+
     return lines.join('\n');
   }
 
@@ -128,4 +291,14 @@ export class Article {
     const hoursAgo = new Date(now.getTime() - (hours * 60 * 60 * 1000));
     return this.publishedAt >= hoursAgo;
   }
+
+  /**
+   * Check if article was published within [since, until]
+   */
+  isWithinWindow(since, until = null) {
+    if (!this.publishedAt) return true; // Assume new if no date
+    if (since && this.publishedAt < since) return false;
+    if (until && this.publishedAt > until) return false;
+    return true;
+  }
 }
@@ -0,0 +1,180 @@
+#!/usr/bin/env node
+
+import { setHttpClient } from './utils/HttpClient.js';
+import { MessageFormatter } from './utils/MessageFormatter.js';
+import { HATENA_BOOKMARK_CONFIG } from '../config/constants.js';
+import { readdirSync } from 'fs';
+import { fileURLToPath } from 'url';
+import path from 'path';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const dataDir = path.join(__dirname, '../data');
+
+// Distinct AI-related topics, so stubbed items are not clustered into one story
+const TOPICS = [
+  'Open-weight LLM tops coding benchmark',
+  'Agent framework adds tool calling',
+  'RAG pipeline tutorial with vector search',
+  'Fine-tuning guide for small language models',
+  'Diffusion model speeds up image generation',
+  'Prompt caching cuts inference cost',
+  'Speech recognition model goes multilingual',
+  'GPU kernels for faster transformer training',
+  'Evaluation suite for AI assistants',
+  'Safety research on model jailbreaks',
+  'Multimodal model reads charts and tables',
+  'Quantization brings LLM inference to laptops'
+];
+
+/**
+ * HTTP stub serving generated feeds, article pages and API responses
+ * Every feed gets fresh AI-related items, so the whole pipeline has work to do
+ */
+class StubHttpClient {
+  constructor(now = new Date()) {
+    this.now = now;
+    this.requests = [];
+    this.itemCount = 0;
+  }
+
+  async get(url) {
+    this.requests.push(url);
+
+    if (url.startsWith(HATENA_BOOKMARK_CONFIG.countApiUrl)) {
+      const urls = new URL(url).searchParams.getAll('url');
+      return this._response(url, Object.fromEntries(urls.map(entry => [entry, 12])));
+    }
+    if (url.includes('export.arxiv.org')) {
+      return this._response(url, this._arxivFeed());
+    }
+    if (new URL(url).hostname === 'example.com') {
+      return this._response(url, this._articlePage(url));
+    }
+    return this._response(url, this._rssFeed(url));
+  }
+
+  async post(url) {
+    throw new Error(`No stub for POST ${url}`);
+  }
+
+  _response(url, data) {
+    return { status: 200, headers: {}, data, url };
+  }
+
+  /**
+   * RSS 2.0 feed with two items unique to the feed URL
+   */
+  _rssFeed(feedUrl) {
+    const slug = feedUrl.replace(/^https?:\/\//, '').replace(/[^a-z0-9]+/gi, '-');
+    const pubDate = new Date(this.now.getTime() - 10 * 60 * 1000).toUTCString();
+    const items = [1, 2].map(n => {
+      const topic = TOPICS[this.itemCount++ % TOPICS.length];
+      return `
+    <item>
+      <title>${topic} (${this.itemCount})</title>
+      <link>https://example.com/${slug}/${n}</link>
+      <description>${topic}: notes on LLM and generative AI tooling.</description>
+      <pubDate>${pubDate}</pubDate>
+    </item>`;
+    }).join('');
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0"><channel><title>${slug}</title><link>https://example.com/</link>${items}
+</channel></rss>`;
+  }
+
+  /**
+   * arXiv API response with one paper
+   */
+  _arxivFeed() {
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom" xmlns:arxiv="http://arxiv.org/schemas/atom">
+  <entry>
+    <id>http://arxiv.org/abs/2601.00001v1</id>
+    <published>${new Date(this.now.getTime() - 10 * 60 * 1000).toISOString()}</published>
+    <title>Scaling Laws for LLM Agents</title>
+    <summary>We study scaling laws for large language model agents.</summary>
+    <author><name>Offline Check</name></author>
+    <arxiv:primary_category term="cs.CL"/>
+    <category term="cs.CL"/>
+  </entry>
+</feed>`;
+  }
+
+  /**
+   * Article page for content extraction
+   */
+  _articlePage(url) {
+    return `<html><head><title>${url}</title></head><body><article>
+<p>This release adds a new LLM agent framework with tool calling, retrieval-augmented generation and evaluation tooling for developers.</p>
+</article></body></html>`;
+  }
+}
+
+/**
+ * Run the pipeline offline (stubbed HTTP, fake LLM provider, dry run) and check the digest
+ */
+async function main() {
+  process.argv.push('--dry-run');
+  process.env.LLM_PROVIDER = 'fake';
+  delete process.env.DISCORD_WEBHOOK_URL;
+
+  const httpClient = new StubHttpClient();
+  setHttpClient(httpClient);
+
+  // Capture the articles the dry run would send
+  let digest = null;
+  const formatDryRun = MessageFormatter.prototype.formatDryRun;
+  MessageFormatter.prototype.formatDryRun = function (articlesBySource) {
+    digest = articlesBySource;
+    return formatDryRun.call(this, articlesBySource);
+  };
+
+  const dataFiles = listDataFiles();
+  const { main: run } = await import('./index.js');
+  await run();
+
+  const articles = Object.values(digest || {}).flat();
+  const failures = [];
+
+  if (digest === null) {
+    failures.push('no dry-run digest was printed');
+  }
+  if (Object.keys(digest || {}).length < 2) {
+    failures.push(`expected articles from several sources, got ${Object.keys(digest || {}).join(', ') || 'none'}`);
+  }
+  const unsummarized = articles.filter(article => !article.aiSummary?.startsWith('[fake]'));
+  if (unsummarized.length > 0) {
+    failures.push(`${unsummarized.length}/${articles.length} articles have no summary from the fake provider`);
+  }
+  if (articles.some(article => !article.classification || article.classification.provider !== 'fake')) {
+    failures.push('articles were not classified by the fake provider');
+  }
+  if (listDataFiles().join() !== dataFiles.join()) {
+    failures.push('dry run wrote files to data/');
+  }
+
+  if (failures.length > 0) {
+    console.error(`Offline check failed:\n- ${failures.join('\n- ')}`);
+    process.exit(1);
+  }
+
+  console.log(`Offline check passed: ${articles.length} articles from ${Object.keys(digest).length} sources (${httpClient.requests.length} stubbed requests)`);
+}
+
+/**
+ * Files in data/ (the dry run must not create any)
+ */
+function listDataFiles() {
+  try {
+    return readdirSync(dataDir).sort();
+  } catch {
+    return [];
+  }
+}
+
+main().catch(error => {
+  console.error('Offline check failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,107 @@
+#!/usr/bin/env node
+
+import { OpmlConverter } from './parsers/OpmlConverter.js';
+import { getLogger } from './utils/Logger.js';
+import { readFileSync, writeFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import path from 'path';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const configPath = path.join(__dirname, '../config/sources.json');
+
+// Parse CLI arguments
+const args = process.argv.slice(2);
+const command = args[0];
+const fileArg = args.slice(1).find(arg => !arg.startsWith('--'));
+const isDryRun = args.includes('--dry-run');
+
+const logger = getLogger();
+
+const USAGE = `Usage:
+  npm run opml -- import <file.opml> [--dry-run]   Import OPML outlines into config/sources.json
+  npm run opml -- export [file.opml]               Export sources as OPML (stdout if no file)`;
+
+/**
+ * OPML import/export for config/sources.json
+ */
+function main() {
+  const converter = new OpmlConverter();
+  const config = JSON.parse(readFileSync(configPath, 'utf-8'));
+
+  if (command === 'import') {
+    if (!fileArg) {
+      throw new Error(`Missing OPML file\n${USAGE}`);
+    }
+    importOpml(converter, config, fileArg);
+  } else if (command === 'export') {
+    exportOpml(converter, config, fileArg);
+  } else {
+    console.error(USAGE);
+    process.exit(command ? 1 : 0);
+  }
+}
+
+/**
+ * Import OPML file into sources.json
+ * Malformed feed URLs abort the import; duplicates are skipped
+ */
+function importOpml(converter, config, file) {
+  const groups = converter.parse(readFileSync(file, 'utf-8'));
+  const { sources, added, malformed, duplicates } = converter.merge(config.sources, groups);
+
+  for (const { sourceKey, url, duplicateOf } of duplicates) {
+    logger.warn(`Skipping duplicate feed in ${sourceKey}: ${url} (already in ${duplicateOf})`, 'opml');
+  }
+
+  if (malformed.length > 0) {
+    for (const { sourceKey, url } of malformed) {
+      logger.error(`Malformed feed URL in ${sourceKey}: ${url}`, null, 'opml');
+    }
+    throw new Error(`${malformed.length} malformed feed URL(s), nothing imported`);
+  }
+
+  for (const { sourceKey, url } of added) {
+    logger.info(`Added feed to ${sourceKey}: ${url}`, 'opml');
+  }
+
+  if (isDryRun) {
+    console.log(JSON.stringify({ ...config, sources }, null, 2));
+    logger.info(`Dry run: ${added.length} feed(s) would be imported`, 'opml');
+    return;
+  }
+
+  writeFileSync(configPath, JSON.stringify({ ...config, sources }, null, 2) + '\n', 'utf-8');
+  logger.info(`Imported ${added.length} feed(s) from ${groups.length} group(s) into ${configPath}`, 'opml');
+}
+
+/**
+ * Export sources.json as OPML
+ */
+function exportOpml(converter, config, file) {
+  const { malformed, duplicates } = converter.validateSources(config.sources);
+
+  for (const { sourceKey, url } of malformed) {
+    logger.warn(`Malformed feed URL in ${sourceKey}: ${url}`, 'opml');
+  }
+  for (const { sourceKey, url, duplicateOf } of duplicates) {
+    logger.warn(`Duplicate feed in ${sourceKey}: ${url} (also in ${duplicateOf})`, 'opml');
+  }
+
+  const xml = converter.build(config.sources);
+
+  if (!file) {
+    process.stdout.write(xml);
+    return;
+  }
+
+  writeFileSync(file, xml, 'utf-8');
+  logger.info(`Exported ${Object.keys(config.sources).length} source(s) to ${file}`, 'opml');
+}
+
+try {
+  main();
+} catch (error) {
+  logger.error('OPML command failed', error, 'opml');
+  process.exit(1);
+}
@@ -3,28 +3,37 @@ import { getLogger } from '../utils/Logger.js';
 
 const logger = getLogger();
 
+// Classification sources that are not model results (see GeminiService._fallbackClassification)
+const FALLBACK_CLASSIFICATION_SOURCES = ['keywords', 'fallback'];
+
 /**
  * Normalize RSS/Atom items to Article model
  */
 export class ArticleNormalizer {
   constructor() {
-    // Source-specific normalizers
+    // Type-specific normalizers
     this.normalizers = {
+      rss: this._normalizeGeneric.bind(this),
+      scrape: this._normalizeGeneric.bind(this),
       hackernews: this._normalizeHackerNews.bind(this),
       qiita: this._normalizeQiita.bind(this),
-      zenn: this._normalizeZenn.bind(this)
+      zenn: this._normalizeZenn.bind(this),
+      arxiv: this._normalizeArxiv.bind(this),
+      hatena: this._normalizeHatena.bind(this),
+      github: this._normalizeGitHub.bind(this)
     };
   }
 
   /**
    * Normalize a single RSS item to Article
+   * The normalizer is chosen by source type; the article keeps the source key
    */
-  normalize(item, source) {
+  normalize(item, source, type = source) {
     try {
-      const normalizer = this.normalizers[source];
+      const normalizer = this.normalizers[type];
       if (!normalizer) {
-        logger.warn(`No normalizer found for source: ${source}`, 'ArticleNormalizer');
-        return this._normalizeGeneric(item, source);
+        logger.warn(`No normalizer found for type: ${type}`, 'ArticleNormalizer');
+        return new Article({ ...this._normalizeGeneric(item), source });
       }
 
       const articleData = normalizer(item);
@@ -38,14 +47,14 @@ export class ArticleNormalizer {
   /**
    * Normalize multiple items
    */
-  normalizeAll(items, source) {
+  normalizeAll(items, source, type = source) {
     if (!items || !Array.isArray(items)) {
       return [];
     }
 
     const articles = [];
     for (const item of items) {
-      const article = this.normalize(item, source);
+      const article = this.normalize(item, source, type);
       if (article) {
         articles.push(article);
       }
@@ -65,10 +74,30 @@ export class ArticleNormalizer {
       publishedAt: item.pubDate || item.isoDate || null,
       author: item.creator || item.author || null,
       summary: item.contentSnippet || item.content || null,
-      tags: []
+      tags: [],
+      // API items carry engagement directly; hnrss embeds it in the description
+      engagement: item.engagement || this._extractHackerNewsEngagement(item.content || item.contentSnippet),
+      discussionUrl: item.comments || null
     };
   }
 
+  /**
+   * Extract points and comment count from hnrss item description
+   * (e.g., "<p>Points: 42</p><p># Comments: 7</p>")
+   */
+  _extractHackerNewsEngagement(content) {
+    if (!content) return {};
+
+    const engagement = {};
+    const points = content.match(/Points:\s*(\d+)/i);
+    const comments = content.match(/#\s*Comments:\s*(\d+)/i);
+
+    if (points) engagement.points = parseInt(points[1], 10);
+    if (comments) engagement.comments = parseInt(comments[1], 10);
+
+    return engagement;
+  }
+
   /**
    * Normalize Qiita item
    */
@@ -82,7 +111,9 @@ export class ArticleNormalizer {
       publishedAt: item.pubDate || null,
       author: item.creator || item.author || null,
       summary: item.contentSnippet || item.description || null,
-      tags
+      tags,
+      // Likes / stocks (API mode only)
+      engagement: item.engagement || {}
     };
   }
 
@@ -99,14 +130,93 @@ export class ArticleNormalizer {
       publishedAt: item.pubDate || item.isoDate || null,
       author: item.author || item.creator || null,
       summary: item.contentSnippet || item.summary || null,
-      tags
+      tags,
+      // Likes and article details (API mode only)
+      engagement: item.engagement || {},
+      metadata: item.metadata || {}
     };
   }
 
   /**
-   * Generic normalizer for unknown sources
+   * Normalize arXiv entry (see ArxivFetcher)
+   * The full abstract is kept as content for summarization
    */
-  _normalizeGeneric(item, source) {
+  _normalizeArxiv(item) {
+    const authors = item.authors || [];
+
+    return {
+      title: item.title || 'Untitled',
+      url: item.link || '',
+      publishedAt: item.isoDate || null,
+      author: authors.length > 3 ? `${authors.slice(0, 3).join(', ')} et al.` : authors.join(', ') || null,
+      summary: item.abstract || null,
+      content: item.abstract || null,
+      tags: (item.categories || []).map(category => category.toLowerCase()),
+      metadata: {
+        authors,
+        primaryCategory: item.primaryCategory || null,
+        pdfUrl: item.pdfUrl || null
+      }
+    };
+  }
+
+  /**
+   * Normalize Hatena Bookmark entry (RSS 1.0 with hatena:bookmarkcount)
+   */
+  _normalizeHatena(item) {
+    const url = item.link || '';
+    const bookmarks = parseInt(item.bookmarkCount, 10);
+
+    return {
+      title: item.title || 'Untitled',
+      url,
+      publishedAt: item.isoDate || item.pubDate || null,
+      author: null,
+      summary: item.contentSnippet || item.description || null,
+      tags: this._extractTags(item.subject),
+      engagement: Number.isNaN(bookmarks) ? {} : { bookmarks },
+      discussionUrl: url ? this._hatenaEntryUrl(url) : null
+    };
+  }
+
+  /**
+   * Hatena Bookmark entry page for a URL (https URLs use the /entry/s/ form)
+   */
+  _hatenaEntryUrl(url) {
+    return url.startsWith('https://')
+      ? `https://b.hatena.ne.jp/entry/s/${url.slice('https://'.length)}`
+      : `https://b.hatena.ne.jp/entry/${url.replace(/^http:\/\//, '')}`;
+  }
+
+  /**
+   * Normalize GitHub release entry or trending repository (see GitHubFetcher)
+   * Release notes are kept as content for the changelog summary
+   */
+  _normalizeGitHub(item) {
+    const metadata = item.metadata || {};
+    const title = item.title || 'Untitled';
+    const notes = item.contentSnippet || null;
+
+    return {
+      // Release titles are often just the version ("v4.46.0")
+      title: metadata.kind === 'release' && metadata.repo && !title.includes(metadata.repo)
+        ? `${metadata.repo} ${title}`
+        : title,
+      url: item.link || '',
+      publishedAt: item.isoDate || item.pubDate || null,
+      author: item.author || item.creator || null,
+      summary: notes,
+      content: notes,
+      tags: metadata.topics || [],
+      engagement: item.engagement || {},
+      metadata
+    };
+  }
+
+  /**
+   * Generic normalizer for RSS sources and unknown types
+   */
+  _normalizeGeneric(item) {
     const tags = this._extractTags(item.category);
 
     return {
@@ -178,6 +288,30 @@ export class ArticleNormalizer {
     return articles.filter(article => article.isWithinLastHours(hours));
   }
 
+  /**
+   * Filter articles by publication window [since, until]
+   */
+  filterByWindow(articles, since, until = null) {
+    return articles.filter(article => article.isWithinWindow(since, until));
+  }
+
+  /**
+   * Filter out articles classified as not AI-related or below minimum relevance
+   * Only model classifications drop articles; fallbacks only affect ordering
+   */
+  filterByClassification(articles, minRelevance = 0) {
+    return articles.filter(article => {
+      const classification = article.classification;
+      if (!classification || FALLBACK_CLASSIFICATION_SOURCES.includes(classification.source)) return true;
+
+      const keep = classification.aiRelated && classification.relevance >= minRelevance;
+      if (!keep) {
+        logger.debug(`Dropped by classification (${classification.provider || classification.source}, relevance ${classification.relevance}): ${article.title.slice(0, 60)}`, 'ArticleNormalizer');
+      }
+      return keep;
+    });
+  }
+
   /**
    * Limit to N articles
    */
@@ -0,0 +1,118 @@
+import * as cheerio from 'cheerio';
+
+// Elements that never hold the main text
+const STRIP_SELECTOR = 'script, style, noscript, iframe, svg, form, nav, header, footer, aside, button, template';
+// Blocks whose text is collected from the chosen container
+const TEXT_SELECTOR = 'p, h1, h2, h3, h4, li, pre, blockquote';
+// Class / id hints (readability-style)
+const POSITIVE_HINTS = /article|body|content|entry|main|page|post|story|text|blog/i;
+const NEGATIVE_HINTS = /comment|meta|footer|footnote|sidebar|side|nav|menu|share|social|related|promo|ad-|ads|banner|sponsor|popup|cookie|subscribe|newsletter/i;
+
+/**
+ * Readability-style main text extraction
+ *
+ * Paragraphs score their parent (and half their grandparent) by length and
+ * comma count; class/id hints adjust container scores. Text is collected
+ * from the highest-scoring container, falling back to all paragraphs.
+ */
+export class ContentExtractor {
+  constructor(config = {}) {
+    this.minParagraphLength = config.minParagraphLength ?? 25;
+  }
+
+  /**
+   * Extract main text from an HTML document (null when nothing usable is found)
+   */
+  extract(html) {
+    if (!html) return null;
+
+    const $ = cheerio.load(html);
+    $(STRIP_SELECTOR).remove();
+
+    const container = this._findContainer($);
+    const blocks = container ? this._collectText($, container) : [];
+    const text = (blocks.length > 0 ? blocks : this._collectText($, $('body'))).join('\n');
+
+    return text.trim() || null;
+  }
+
+  /**
+   * Pick the highest-scoring paragraph container
+   */
+  _findContainer($) {
+    const scores = new Map();
+
+    $('p, pre').each((_, element) => {
+      const text = this._text($(element));
+      if (text.length < this.minParagraphLength) return;
+
+      const commas = text.split(/[,、，]/).length - 1;
+      const score = 1 + commas + Math.min(Math.floor(text.length / 100), 3);
+      const parent = element.parent;
+      const grandparent = parent?.parent;
+
+      if (parent?.type === 'tag') this._addScore($, scores, parent, score);
+      if (grandparent?.type === 'tag') this._addScore($, scores, grandparent, score / 2);
+    });
+
+    let best = null;
+    let bestScore = 0;
+    for (const [element, score] of scores) {
+      if (score > bestScore) {
+        best = element;
+        bestScore = score;
+      }
+    }
+
+    return best ? $(best) : null;
+  }
+
+  /**
+   * Add paragraph score to a container, seeding it with its class/id weight
+   */
+  _addScore($, scores, element, score) {
+    if (!scores.has(element)) {
+      scores.set(element, this._hintWeight($(element)));
+    }
+    scores.set(element, scores.get(element) + score);
+  }
+
+  /**
+   * Class / id / tag weight for a container
+   */
+  _hintWeight($element) {
+    const hints = `${$element.attr('class') || ''} ${$element.attr('id') || ''}`;
+    let weight = 0;
+
+    if (POSITIVE_HINTS.test(hints)) weight += 25;
+    if (NEGATIVE_HINTS.test(hints)) weight -= 25;
+    if (['article', 'main'].includes($element.prop('tagName')?.toLowerCase())) weight += 10;
+
+    return weight;
+  }
+
+  /**
+   * Collect text blocks under a container
+   */
+  _collectText($, $container) {
+    const blocks = [];
+
+    $container.find(TEXT_SELECTOR).each((_, element) => {
+      const $element = $(element);
+      // Skip blocks nested in another collected block (e.g., <p> inside <li>)
+      if ($element.parents(TEXT_SELECTOR).length > 0) return;
+
+      const text = this._text($element);
+      if (text) blocks.push(text);
+    });
+
+    return blocks;
+  }
+
+  /**
+   * Whitespace-normalized element text
+   */
+  _text($element) {
+    return $element.text().replace(/\s+/g, ' ').trim();
+  }
+}
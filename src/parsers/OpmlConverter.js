@@ -0,0 +1,235 @@
+import * as cheerio from 'cheerio';
+import { getUrlCanonicalizer } from '../utils/UrlCanonicalizer.js';
+
+/**
+ * Convert between OPML outlines and sources.json
+ *
+ * Each top-level outline group maps to one source; feed outlines directly under
+ * <body> are collected into a single "imported" group.
+ */
+export class OpmlConverter {
+  /**
+   * Parse OPML document into groups ({ name, feeds: [{ url, title }] })
+   */
+  parse(xml) {
+    const $ = cheerio.load(xml, { xml: true });
+
+    if ($('opml').length === 0 || $('opml > body').length === 0) {
+      throw new Error('Not an OPML document (missing <opml><body>)');
+    }
+
+    const groups = [];
+    const ungrouped = { name: 'Imported', feeds: [] };
+
+    $('opml > body > outline').each((_, element) => {
+      const $outline = $(element);
+      const feedUrl = this._feedUrl($outline);
+
+      if (feedUrl !== null) {
+        ungrouped.feeds.push({ url: feedUrl, title: this._text($outline) });
+        return;
+      }
+
+      const group = { name: this._text($outline) || 'Imported', feeds: [] };
+      // Nested groups are flattened into their top-level group
+      $outline.find('outline').each((_, child) => {
+        const url = this._feedUrl($(child));
+        if (url !== null) {
+          group.feeds.push({ url, title: this._text($(child)) });
+        }
+      });
+      groups.push(group);
+    });
+
+    if (ungrouped.feeds.length > 0) {
+      groups.push(ungrouped);
+    }
+
+    return groups;
+  }
+
+  /**
+   * Get feed URL attribute (null if the outline is a group)
+   */
+  _feedUrl($outline) {
+    const url = $outline.attr('xmlUrl') ?? $outline.attr('xmlurl');
+    return url === undefined ? null : url.trim();
+  }
+
+  /**
+   * Get outline label
+   */
+  _text($outline) {
+    return ($outline.attr('text') || $outline.attr('title') || '').trim();
+  }
+
+  /**
+   * Build OPML document from sources.json sources
+   */
+  build(sources, title = 'AI News Notifier') {
+    const lines = [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<opml version="2.0">',
+      '  <head>',
+      `    <title>${this._escape(title)}</title>`,
+      `    <dateCreated>${new Date().toUTCString()}</dateCreated>`,
+      '  </head>',
+      '  <body>'
+    ];
+
+    for (const [sourceKey, config] of Object.entries(sources)) {
+      const feeds = Array.isArray(config.feeds) ? config.feeds : [config.feeds].filter(Boolean);
+      if (feeds.length === 0) continue;
+
+      const name = this._escape(config.name || sourceKey);
+      lines.push(`    <outline text="${name}" title="${name}">`);
+      for (const feed of feeds) {
+        const url = this._escape(feed);
+        lines.push(`      <outline type="rss" text="${url}" xmlUrl="${url}"/>`);
+      }
+      lines.push('    </outline>');
+    }
+
+    lines.push('  </body>', '</opml>');
+    return lines.join('\n') + '\n';
+  }
+
+  /**
+   * Escape XML attribute/text value
+   */
+  _escape(value) {
+    return String(value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&apos;');
+  }
+
+  /**
+   * Check feed URL is an absolute http(s) URL
+   */
+  isValidFeedUrl(url) {
+    try {
+      const parsed = new URL(url);
+      return ['http:', 'https:'].includes(parsed.protocol) && Boolean(parsed.hostname);
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Key for duplicate detection (canonical form of the feed URL)
+   */
+  _feedKey(url) {
+    return getUrlCanonicalizer().canonicalize(url);
+  }
+
+  /**
+   * Validate feeds in sources.json
+   * Returns { malformed: [{ sourceKey, url }], duplicates: [{ sourceKey, url, duplicateOf }] }
+   */
+  validateSources(sources) {
+    const malformed = [];
+    const duplicates = [];
+    const seen = new Map();
+
+    for (const [sourceKey, config] of Object.entries(sources)) {
+      const feeds = Array.isArray(config.feeds) ? config.feeds : [config.feeds].filter(Boolean);
+
+      for (const url of feeds) {
+        if (!this.isValidFeedUrl(url)) {
+          malformed.push({ sourceKey, url });
+          continue;
+        }
+
+        const key = this._feedKey(url);
+        if (seen.has(key)) {
+          duplicates.push({ sourceKey, url, duplicateOf: seen.get(key) });
+        } else {
+          seen.set(key, sourceKey);
+        }
+      }
+    }
+
+    return { malformed, duplicates };
+  }
+
+  /**
+   * Create a source key from a group name (falls back to "imported")
+   */
+  _slugify(name) {
+    const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+    return slug || 'imported';
+  }
+
+  /**
+   * Source key for a group not found by name
+   * Adds a numeric suffix when the slug is taken (e.g., "生成AI" and "AIニュース" both slug to "ai")
+   */
+  _uniqueKey(name, sources) {
+    const slug = this._slugify(name);
+    let sourceKey = slug;
+    for (let suffix = 2; sources[sourceKey]; suffix++) {
+      sourceKey = `${slug}-${suffix}`;
+    }
+    return sourceKey;
+  }
+
+  /**
+   * Merge OPML groups into sources
+   * Groups match existing sources by name only; other groups become new "rss" sources.
+   * Returns { sources, added, malformed, duplicates }
+   */
+  merge(sources, groups) {
+    const merged = structuredClone(sources);
+    const seen = new Map();
+    const added = [];
+    const malformed = [];
+    const duplicates = [];
+    const created = new Set();
+
+    for (const [sourceKey, config] of Object.entries(merged)) {
+      const feeds = Array.isArray(config.feeds) ? config.feeds : [config.feeds].filter(Boolean);
+      feeds.forEach(url => seen.set(this._feedKey(url), sourceKey));
+    }
+
+    for (const group of groups) {
+      const sourceKey = Object.keys(merged).find(key => (merged[key].name || key) === group.name)
+        || this._uniqueKey(group.name, merged);
+
+      if (!merged[sourceKey]) {
+        merged[sourceKey] = { type: 'rss', name: group.name, emoji: '📄', feeds: [], maxArticles: 20 };
+        created.add(sourceKey);
+      }
+      const source = merged[sourceKey];
+      source.feeds = Array.isArray(source.feeds) ? source.feeds : [source.feeds].filter(Boolean);
+
+      for (const { url } of group.feeds) {
+        if (!this.isValidFeedUrl(url)) {
+          malformed.push({ sourceKey, url });
+          continue;
+        }
+
+        const key = this._feedKey(url);
+        if (seen.has(key)) {
+          duplicates.push({ sourceKey, url, duplicateOf: seen.get(key) });
+          continue;
+        }
+
+        seen.set(key, sourceKey);
+        source.feeds.push(url);
+        added.push({ sourceKey, url });
+      }
+    }
+
+    // Drop new sources that ended up without valid feeds
+    for (const sourceKey of created) {
+      if (merged[sourceKey].feeds.length === 0) {
+        delete merged[sourceKey];
+      }
+    }
+
+    return { sources: merged, added, malformed, duplicates };
+  }
+}
@@ -1,25 +1,43 @@
 import Parser from 'rss-parser';
+import * as cheerio from 'cheerio';
 import { getLogger } from '../utils/Logger.js';
 import { RetryHandler } from '../utils/RetryHandler.js';
+import { getHttpClient } from '../utils/HttpClient.js';
+import { getCacheService } from '../services/CacheService.js';
+import { getFeedHealthService } from '../services/FeedHealthService.js';
 
 const logger = getLogger();
 const parser = new Parser({
-  timeout: 30000,
   customFields: {
     item: [
       ['media:content', 'media'],
       ['enclosure', 'enclosure'],
-      ['category', 'categories']
+      ['category', 'categories'],
+      ['dc:subject', 'subject'],
+      ['hatena:bookmarkcount', 'bookmarkCount']
     ]
   }
 });
 
 /**
- * RSS/Atom feed parser with retry logic
+ * Feed parser with retry logic
+ * Handles RSS/Atom, JSON Feed (v1/v1.1) and HTML pages scraped with CSS selectors;
+ * all formats yield rss-parser style items ({ title, link, pubDate, ... })
  */
 export class RSSParser {
-  constructor() {
+  constructor(httpClient = null) {
     this.retryHandler = new RetryHandler();
+    this.httpClient = httpClient || getHttpClient();
+    this.cacheService = getCacheService();
+    // Validators from this run, committed to the cache once the run succeeds
+    this._pendingValidators = new Map();
+  }
+
+  /**
+   * Replace the HTTP layer (e.g., with a stub)
+   */
+  setHttpClient(httpClient) {
+    this.httpClient = httpClient;
   }
 
   /**
@@ -41,16 +59,52 @@ export class RSSParser {
   }
 
   /**
-   * Parse RSS/Atom feed from URL
+   * Build conditional request headers from stored validators
    */
-  async parse(url, sourceName = 'Unknown') {
+  _conditionalHeaders(url) {
+    const validators = this.cacheService.getFeedValidators(url);
+    const headers = {};
+
+    if (validators?.etag) {
+      headers['If-None-Match'] = validators.etag;
+    }
+    if (validators?.lastModified) {
+      headers['If-Modified-Since'] = validators.lastModified;
+    }
+
+    return headers;
+  }
+
+  /**
+   * Parse feed from URL
+   * Sends If-None-Match / If-Modified-Since; a 304 yields an empty, successful feed
+   * Options: { selectors } to scrape an HTML page instead of parsing a feed,
+   * { conditional: false } to fetch the full feed and leave stored validators untouched
+   */
+  async parse(url, sourceName = 'Unknown', options = {}) {
     const context = `RSSParser.${sourceName}`;
+    await this.cacheService.ensureLoaded();
 
     return this.retryHandler.execute(async () => {
       try {
         const encodedUrl = this._encodeUrl(url);
         logger.debug(`Fetching feed: ${url}`, context);
-        const feed = await parser.parseURL(encodedUrl);
+
+        const conditional = options.conditional !== false;
+        const response = await this.httpClient.get(encodedUrl, {
+          headers: conditional ? this._conditionalHeaders(url) : {},
+          validateStatus: status => (status >= 200 && status < 300) || status === 304
+        });
+
+        if (response.status === 304) {
+          logger.info(`Feed not modified: ${url}`, context);
+          return { items: [], notModified: true };
+        }
+
+        const feed = await this._parseBody(response, url, options);
+        if (conditional) {
+          this._rememberValidators(url, response.headers);
+        }
         logger.info(`Fetched ${feed.items?.length || 0} items from ${url}`, context);
         return feed;
       } catch (error) {
@@ -60,33 +114,202 @@ export class RSSParser {
     }, context);
   }
 
+  /**
+   * Parse response body according to its format
+   */
+  async _parseBody(response, url, options = {}) {
+    if (options.selectors) {
+      return this._scrapeHtml(response.data, url, options.selectors);
+    }
+
+    if (this._isJsonFeed(response)) {
+      return this._parseJsonFeed(response.data);
+    }
+
+    return parser.parseString(response.data);
+  }
+
+  /**
+   * Detect JSON Feed by content type or body
+   */
+  _isJsonFeed(response) {
+    const contentType = String(response.headers?.['content-type'] || '');
+    if (/json/i.test(contentType)) {
+      return true;
+    }
+    return typeof response.data === 'string' && response.data.trimStart().startsWith('{');
+  }
+
+  /**
+   * Parse JSON Feed (https://jsonfeed.org/version/1 and 1.1)
+   */
+  _parseJsonFeed(data) {
+    const json = typeof data === 'string' ? JSON.parse(data) : data;
+
+    if (!json || !String(json.version || '').startsWith('https://jsonfeed.org/version/1')) {
+      throw new Error(`Unsupported JSON Feed version: ${json?.version}`);
+    }
+
+    const feedAuthor = json.authors?.[0]?.name || json.author?.name || null;
+
+    const items = (json.items || []).map(item => {
+      const date = item.date_published || item.date_modified || null;
+      return {
+        title: item.title || this._truncateText(item.content_text, 100) || 'Untitled',
+        link: item.url || item.external_url || item.id || '',
+        guid: item.id,
+        pubDate: date,
+        isoDate: date,
+        author: item.authors?.[0]?.name || item.author?.name || feedAuthor,
+        content: item.content_html || item.content_text || null,
+        contentSnippet: item.summary || item.content_text || null,
+        category: item.tags || []
+      };
+    });
+
+    return { title: json.title, link: json.home_page_url, items };
+  }
+
+  /**
+   * Extract items from an HTML page using CSS selectors
+   * selectors: { item, title?, link?, date?, summary? } (title/link/date are relative to item)
+   */
+  _scrapeHtml(html, pageUrl, selectors) {
+    if (!selectors.item) {
+      throw new Error('Scrape selectors must include "item"');
+    }
+
+    const $ = cheerio.load(html);
+    const items = [];
+
+    $(selectors.item).each((_, element) => {
+      const $item = $(element);
+      const $title = selectors.title ? $item.find(selectors.title).first() : $item;
+      const $link = selectors.link
+        ? $item.find(selectors.link).first()
+        : ($item.is('a[href]') ? $item : $item.find('a[href]').first());
+      const $date = selectors.date ? $item.find(selectors.date).first() : null;
+
+      const title = $title.text().trim().replace(/\s+/g, ' ');
+      const href = $link.attr('href');
+      if (!title || !href) {
+        return;
+      }
+
+      let link;
+      try {
+        link = new URL(href, pageUrl).toString();
+      } catch {
+        return;
+      }
+
+      const date = $date ? this._parseScrapedDate($date.attr('datetime') || $date.text()) : null;
+      items.push({
+        title,
+        link,
+        pubDate: date,
+        isoDate: date,
+        contentSnippet: selectors.summary ? $item.find(selectors.summary).first().text().trim() || null : null
+      });
+    });
+
+    return { title: $('title').first().text().trim(), link: pageUrl, items };
+  }
+
+  /**
+   * Parse a scraped date string (ISO, English, or "2026年1月28日")
+   */
+  _parseScrapedDate(text) {
+    if (!text) return null;
+
+    const toIsoDate = (_, year, month, day) => `${year}-${month.padStart(2, '0')}-${day.padStart(2, '0')}`;
+    const normalized = text.trim()
+      .replace(/(\d{4})年(\d{1,2})月(\d{1,2})日?/, toIsoDate)
+      .replace(/(\d{4})[./](\d{1,2})[./](\d{1,2})/, toIsoDate);
+    const date = new Date(normalized);
+
+    return Number.isNaN(date.getTime()) ? null : date.toISOString();
+  }
+
+  /**
+   * Truncate text for derived titles
+   */
+  _truncateText(text, maxLength) {
+    if (!text) return null;
+    return text.length <= maxLength ? text : text.slice(0, maxLength - 3) + '...';
+  }
+
+  /**
+   * Keep ETag / Last-Modified from a response until commitValidators()
+   */
+  _rememberValidators(url, headers = {}) {
+    const etag = headers.etag || null;
+    const lastModified = headers['last-modified'] || null;
+
+    if (etag || lastModified) {
+      this._pendingValidators.set(url, { etag, lastModified });
+    }
+  }
+
+  /**
+   * Persist validators from this run to the cache
+   * Call only after the fetched items were delivered or queued; otherwise the next
+   * run would get 304 for items that were never sent
+   */
+  commitValidators() {
+    for (const [url, validators] of this._pendingValidators) {
+      this.cacheService.setFeedValidators(url, validators);
+    }
+
+    logger.debug(`Committed validators for ${this._pendingValidators.size} feeds`, 'RSSParser');
+    this._pendingValidators.clear();
+  }
+
   /**
    * Parse multiple feeds in parallel
+   * Quarantined feeds are skipped until their next probe time
    */
-  async parseMultiple(urls, sourceName = 'Unknown') {
+  async parseMultiple(urls, sourceName = 'Unknown', options = {}) {
     const context = `RSSParser.${sourceName}`;
+    const feedHealth = getFeedHealthService();
+
+    const active = [];
+    const skipped = [];
+
+    for (const url of urls) {
+      if (await feedHealth.isQuarantined(url)) {
+        skipped.push(url);
+        logger.info(`Skipping quarantined feed: ${url}`, context);
+      } else {
+        active.push(url);
+      }
+    }
 
     const results = await Promise.allSettled(
-      urls.map(url => this.parse(url, sourceName))
+      active.map(url => this.parse(url, sourceName, options))
     );
 
     const successful = [];
     const failed = [];
 
     results.forEach((result, index) => {
+      const url = active[index];
+
       if (result.status === 'fulfilled') {
         successful.push(result.value);
+        feedHealth.recordSuccess(url, result.value.notModified ? null : (result.value.items?.length || 0), sourceName);
       } else {
-        failed.push({ url: urls[index], error: result.reason });
-        logger.warn(`Failed to fetch ${urls[index]}: ${result.reason.message}`, context);
+        failed.push({ url, error: result.reason });
+        feedHealth.recordFailure(url, result.reason, sourceName);
+        logger.warn(`Failed to fetch ${url}: ${result.reason.message}`, context);
       }
     });
 
     if (failed.length > 0) {
-      logger.warn(`Failed to fetch ${failed.length} of ${urls.length} feeds`, context);
+      logger.warn(`Failed to fetch ${failed.length} of ${active.length} feeds`, context);
     }
 
-    return { successful, failed };
+    return { successful, failed, skipped };
   }
 
   /**
@@ -0,0 +1,157 @@
+import { getLogger } from '../utils/Logger.js';
+
+const logger = getLogger();
+
+const DEFAULT_WEIGHTS = {
+  recency: 1,
+  engagement: 1,
+  mentions: 0.5,
+  relevance: 1
+};
+
+// Engagement value that maps to a full score (log-scaled)
+const DEFAULT_ENGAGEMENT_SCALE = {
+  points: 300,
+  comments: 100,
+  likes: 100,
+  stocks: 100,
+  bookmarks: 100,
+  stars: 1000
+};
+
+/**
+ * Multi-signal ranking engine (recency, engagement, cross-source mentions, relevance)
+ *
+ * Each signal is normalized to 0-1 and multiplied by its configured weight;
+ * the article score is the sum of the weighted signals.
+ */
+export class RankingEngine {
+  constructor(config = {}) {
+    this.weights = { ...DEFAULT_WEIGHTS, ...(config.weights || {}) };
+    this.engagementScale = { ...DEFAULT_ENGAGEMENT_SCALE, ...(config.engagementScale || {}) };
+    this.recencyHalfLifeHours = config.recencyHalfLifeHours || 12;
+    this.maxMentions = config.maxMentions || 3;
+  }
+
+  /**
+   * Recency signal: exponential decay by article age
+   */
+  _recencyScore(article, now) {
+    if (!article.publishedAt) return 0.5;
+
+    const ageHours = Math.max(0, (now - article.publishedAt) / (60 * 60 * 1000));
+    return Math.pow(0.5, ageHours / this.recencyHalfLifeHours);
+  }
+
+  /**
+   * Engagement signal: mean of log-scaled metrics available on the article
+   */
+  _engagementScore(article) {
+    const scores = [];
+
+    for (const [metric, scale] of Object.entries(this.engagementScale)) {
+      const value = article.engagement?.[metric];
+      if (typeof value === 'number' && value >= 0) {
+        scores.push(Math.min(1, Math.log1p(value) / Math.log1p(scale)));
+      }
+    }
+
+    if (scores.length === 0) return 0;
+    return scores.reduce((sum, score) => sum + score, 0) / scores.length;
+  }
+
+  /**
+   * Mentions signal: how many other sources carry the same story
+   */
+  _mentionsScore(mentionCount) {
+    if (mentionCount <= 1) return 0;
+    return Math.min(1, (mentionCount - 1) / (this.maxMentions - 1));
+  }
+
+  /**
+   * Relevance signal from classification, else from the keyword filter
+   * (0 for off-topic articles), neutral when neither ran
+   */
+  _relevanceScore(article) {
+    if (typeof article.classification?.relevance === 'number') {
+      return article.classification.relevance;
+    }
+    if (article.relevance) {
+      return article.relevance.relevant ? Math.min(1, 0.4 + article.relevance.score * 0.2) : 0;
+    }
+    return 0.5;
+  }
+
+  /**
+   * Count distinct sources per story key
+   */
+  _countMentions(articles) {
+    const sourcesByKey = new Map();
+
+    for (const article of articles) {
+      const key = this._storyKey(article);
+      if (!sourcesByKey.has(key)) {
+        sourcesByKey.set(key, new Set());
+      }
+      sourcesByKey.get(key).add(article.source);
+      // Related entries restored from the backlog still count as mentions
+      for (const entry of article.related || []) {
+        sourcesByKey.get(key).add(entry.source);
+      }
+    }
+
+    return sourcesByKey;
+  }
+
+  /**
+   * Key identifying the same story across sources (cluster, or URL if unclustered)
+   */
+  _storyKey(article) {
+    return article.clusterId || article.canonicalUrl;
+  }
+
+  /**
+   * Score a single article
+   */
+  score(article, mentionCount = 1, now = new Date()) {
+    const signals = {
+      recency: this._recencyScore(article, now),
+      engagement: this._engagementScore(article),
+      mentions: this._mentionsScore(mentionCount),
+      relevance: this._relevanceScore(article)
+    };
+
+    const breakdown = {};
+    let score = 0;
+
+    for (const [signal, value] of Object.entries(signals)) {
+      const weighted = value * (this.weights[signal] ?? 0);
+      breakdown[signal] = weighted;
+      score += weighted;
+    }
+
+    return { score, breakdown };
+  }
+
+  /**
+   * Score and sort articles for every source
+   * Mentions are counted across all sources before sorting each one
+   */
+  rankAll(articlesBySource) {
+    const now = new Date();
+    const mentions = this._countMentions(Object.values(articlesBySource).flat());
+    const ranked = {};
+
+    for (const [sourceKey, articles] of Object.entries(articlesBySource)) {
+      for (const article of articles) {
+        const mentionCount = mentions.get(this._storyKey(article))?.size || 1;
+        article.ranking = this.score(article, mentionCount, now);
+      }
+
+      ranked[sourceKey] = [...articles].sort((a, b) => b.ranking.score - a.ranking.score);
+      logger.debug(`Ranked ${articles.length} articles for ${sourceKey}`, 'RankingEngine');
+    }
+
+    return ranked;
+  }
+}
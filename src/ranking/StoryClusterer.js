@@ -0,0 +1,175 @@
+import { getLogger } from '../utils/Logger.js';
+
+const logger = getLogger();
+
+/**
+ * Groups articles about the same story across sources
+ *
+ * Two articles from different sources belong to the same story when their
+ * URLs are equal or their titles (original or translated) are similar enough.
+ * Title similarity is the Dice coefficient over character bigrams, which works
+ * for both English and Japanese titles without tokenization.
+ */
+export class StoryClusterer {
+  constructor(config = {}) {
+    this.threshold = config.titleSimilarity ?? 0.6;
+    this.minTitleLength = config.minTitleLength ?? 6;
+  }
+
+  /**
+   * Normalize title for comparison (width, case, punctuation and spaces)
+   */
+  _normalizeTitle(title) {
+    return (title || '')
+      .normalize('NFKC')
+      .toLowerCase()
+      .replace(/[\s\p{P}\p{S}]/gu, '');
+  }
+
+  /**
+   * Build character bigram set
+   */
+  _bigrams(text) {
+    const bigrams = new Set();
+    for (let i = 0; i < text.length - 1; i++) {
+      bigrams.add(text.slice(i, i + 2));
+    }
+    return bigrams;
+  }
+
+  /**
+   * Dice coefficient between two bigram sets
+   */
+  _dice(a, b) {
+    if (a.size === 0 || b.size === 0) return 0;
+
+    let overlap = 0;
+    for (const bigram of a) {
+      if (b.has(bigram)) overlap++;
+    }
+    return (2 * overlap) / (a.size + b.size);
+  }
+
+  /**
+   * Bigram sets for original and translated titles
+   */
+  _titleSignatures(article) {
+    return [article.title, article.translatedTitle]
+      .map(title => this._normalizeTitle(title))
+      .filter(title => title.length >= this.minTitleLength)
+      .map(title => this._bigrams(title));
+  }
+
+  /**
+   * Highest title similarity between two articles
+   */
+  similarity(a, b, signatures) {
+    let best = 0;
+    for (const sigA of signatures.get(a)) {
+      for (const sigB of signatures.get(b)) {
+        best = Math.max(best, this._dice(sigA, sigB));
+      }
+    }
+    return best;
+  }
+
+  /**
+   * Check if two articles describe the same story
+   */
+  _isSameStory(a, b, signatures) {
+    if (a.source === b.source) return false;
+    if (a.canonicalUrl && a.canonicalUrl === b.canonicalUrl) return true;
+    return this.similarity(a, b, signatures) >= this.threshold;
+  }
+
+  /**
+   * Assign cluster IDs to articles about the same story
+   * Returns groups with more than one article
+   */
+  cluster(articles) {
+    const signatures = new Map(articles.map(article => [article, this._titleSignatures(article)]));
+
+    // Union-find over article indices
+    const parent = articles.map((_, index) => index);
+    const find = index => {
+      while (parent[index] !== index) {
+        parent[index] = parent[parent[index]];
+        index = parent[index];
+      }
+      return index;
+    };
+
+    for (let i = 0; i < articles.length; i++) {
+      for (let j = i + 1; j < articles.length; j++) {
+        if (find(i) !== find(j) && this._isSameStory(articles[i], articles[j], signatures)) {
+          parent[find(j)] = find(i);
+        }
+      }
+    }
+
+    const groups = new Map();
+    articles.forEach((article, index) => {
+      const root = find(index);
+      if (!groups.has(root)) {
+        groups.set(root, []);
+      }
+      groups.get(root).push(article);
+    });
+
+    const clusters = [...groups.values()].filter(group => group.length > 1);
+
+    for (const group of clusters) {
+      const clusterId = group[0].clusterId || group[0].id;
+      group.forEach(article => { article.clusterId = clusterId; });
+      logger.debug(`Clustered ${group.length} articles: ${group.map(a => `${a.source}:${a.title.slice(0, 30)}`).join(' | ')}`, 'StoryClusterer');
+    }
+
+    logger.info(`Found ${clusters.length} cross-source stories in ${articles.length} articles`, 'StoryClusterer');
+    return clusters;
+  }
+
+  /**
+   * Primary selection: official announcements first, then ranking score
+   */
+  _isPreferred(article, current) {
+    if (article.isOfficial() !== current.isOfficial()) {
+      return article.isOfficial();
+    }
+    return (article.ranking?.score ?? 0) > (current.ranking?.score ?? 0);
+  }
+
+  /**
+   * Collapse each cluster into its highest-ranked article (official articles win)
+   * Other articles are removed from their sections and attached as related entries
+   */
+  collapse(articlesBySource) {
+    const primaries = new Map();
+
+    for (const articles of Object.values(articlesBySource)) {
+      for (const article of articles) {
+        if (!article.clusterId) continue;
+
+        const current = primaries.get(article.clusterId);
+        if (!current || this._isPreferred(article, current)) {
+          primaries.set(article.clusterId, article);
+        }
+      }
+    }
+
+    const collapsed = {};
+    for (const [sourceKey, articles] of Object.entries(articlesBySource)) {
+      collapsed[sourceKey] = [];
+
+      for (const article of articles) {
+        const primary = article.clusterId ? primaries.get(article.clusterId) : article;
+        if (primary === article) {
+          collapsed[sourceKey].push(article);
+        } else {
+          primary.addRelated(article);
+        }
+      }
+    }
+
+    return collapsed;
+  }
+}
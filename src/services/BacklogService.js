@@ -0,0 +1,155 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { Article } from '../models/Article.js';
+import { getCacheService } from './CacheService.js';
+import { getLogger } from '../utils/Logger.js';
+import { BACKLOG_CONFIG } from '../../config/constants.js';
+
+const logger = getLogger();
+
+/**
+ * Persisted queue of overflow articles (backlog.json, next to seen.json)
+ *
+ * Articles cut by maxArticlesPerSection are queued with their first fetch time
+ * and merged back into ranking on later runs until they age out.
+ */
+export class BacklogService {
+  constructor(cacheDir = null) {
+    this.cacheDir = cacheDir || getCacheService().getCacheDir();
+    this.backlogPath = path.join(this.cacheDir, BACKLOG_CONFIG.filename);
+    this.ttlHours = BACKLOG_CONFIG.ttlHours;
+    this.maxEntries = BACKLOG_CONFIG.maxEntries;
+    this._entries = [];
+  }
+
+  /**
+   * Apply configuration from sources.json
+   */
+  configure(config = {}) {
+    this.ttlHours = config.ttlHours ?? BACKLOG_CONFIG.ttlHours;
+    this.maxEntries = config.maxEntries ?? BACKLOG_CONFIG.maxEntries;
+  }
+
+  /**
+   * Load backlog from file
+   */
+  async load() {
+    try {
+      const data = JSON.parse(await fs.readFile(this.backlogPath, 'utf-8'));
+
+      if (data.version !== BACKLOG_CONFIG.version) {
+        logger.warn('Backlog version mismatch, resetting backlog', 'BacklogService');
+        this._entries = [];
+      } else {
+        this._entries = Array.isArray(data.articles) ? data.articles : [];
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.error('Failed to load backlog, starting empty', error, 'BacklogService');
+      }
+      this._entries = [];
+    }
+
+    logger.info(`Loaded backlog with ${this._entries.length} entries`, 'BacklogService');
+    return this._entries;
+  }
+
+  /**
+   * Save backlog to file
+   */
+  async save() {
+    try {
+      await fs.mkdir(this.cacheDir, { recursive: true });
+
+      const data = {
+        version: BACKLOG_CONFIG.version,
+        lastUpdated: new Date().toISOString(),
+        articles: this._entries
+      };
+
+      await fs.writeFile(this.backlogPath, JSON.stringify(data, null, 2), 'utf-8');
+      logger.debug(`Backlog saved with ${this._entries.length} entries`, 'BacklogService');
+    } catch (error) {
+      logger.error('Failed to save backlog', error, 'BacklogService');
+      throw error;
+    }
+  }
+
+  /**
+   * Check if a queued entry is older than the TTL
+   */
+  _isExpired(fetchedAt, now = new Date()) {
+    const ageHours = (now - new Date(fetchedAt)) / (60 * 60 * 1000);
+    return !Number.isFinite(ageHours) || ageHours > this.ttlHours;
+  }
+
+  /**
+   * Get queued articles that have not aged out, grouped by source
+   */
+  getArticlesBySource() {
+    const now = new Date();
+    const bySource = {};
+    let expired = 0;
+
+    for (const entry of this._entries) {
+      if (this._isExpired(entry.fetchedAt, now)) {
+        expired++;
+        continue;
+      }
+
+      try {
+        const article = Article.fromJSON(entry);
+        (bySource[article.source] ||= []).push(article);
+      } catch (error) {
+        logger.warn(`Skipping invalid backlog entry: ${error.message}`, 'BacklogService');
+      }
+    }
+
+    if (expired > 0) {
+      logger.info(`Dropped ${expired} expired backlog entries (TTL ${this.ttlHours}h)`, 'BacklogService');
+    }
+
+    return bySource;
+  }
+
+  /**
+   * Replace backlog with the given overflow articles (highest ranked first)
+   * Keeps the earliest fetch time for articles that were already queued
+   */
+  replace(articles) {
+    const previous = new Map(this._entries.map(entry => [`${entry.source}:${entry.url}`, entry.fetchedAt]));
+    const now = new Date();
+
+    this._entries = [...articles]
+      .sort((a, b) => (b.ranking?.score ?? 0) - (a.ranking?.score ?? 0))
+      .map(article => {
+        const data = article.toJSON();
+        const queuedAt = previous.get(`${data.source}:${data.url}`);
+        if (queuedAt && new Date(queuedAt) < new Date(data.fetchedAt)) {
+          data.fetchedAt = queuedAt;
+        }
+        return data;
+      })
+      .filter(entry => !this._isExpired(entry.fetchedAt, now))
+      .slice(0, this.maxEntries);
+
+    logger.info(`Queued ${this._entries.length} overflow articles in backlog`, 'BacklogService');
+  }
+
+  /**
+   * Get backlog path (for GitHub Actions cache)
+   */
+  getBacklogPath() {
+    return this.backlogPath;
+  }
+}
+
+// Singleton instance
+let backlogServiceInstance = null;
+
+export function getBacklogService() {
+  if (!backlogServiceInstance) {
+    backlogServiceInstance = new BacklogService();
+  }
+  return backlogServiceInstance;
+}
@@ -16,6 +16,26 @@ export class CacheService {
     this.cacheDir = cacheDir || path.join(__dirname, '../../data');
     this.cachePath = path.join(this.cacheDir, CACHE_CONFIG.filename);
     this._cache = null;
+    this._loadPromise = null;
+    // Dry runs keep everything in memory (seen articles, feed health, validators)
+    this.readOnly = false;
+  }
+
+  /**
+   * Keep changes in memory only (no file writes)
+   */
+  setReadOnly(readOnly) {
+    this.readOnly = readOnly;
+  }
+
+  /**
+   * Load cache once (safe to call concurrently)
+   */
+  async ensureLoaded() {
+    if (!this._loadPromise) {
+      this._loadPromise = this.load();
+    }
+    return this._loadPromise;
   }
 
   /**
@@ -53,6 +73,11 @@ export class CacheService {
    * Save cache to file
    */
   async save() {
+    if (this.readOnly) {
+      logger.debug('Read-only mode, cache not saved', 'CacheService');
+      return;
+    }
+
     try {
       // Ensure directory exists
       await fs.mkdir(this.cacheDir, { recursive: true });
@@ -104,6 +129,73 @@ export class CacheService {
     this._cache.articles[source][hash] = timestamp || new Date().toISOString();
   }
 
+  /**
+   * Get timestamp of the last successful run (or null)
+   */
+  getLastSuccessfulRun() {
+    const value = this._cache?.lastSuccessfulRun;
+    return value ? new Date(value) : null;
+  }
+
+  /**
+   * Record timestamp of a successful run
+   */
+  setLastSuccessfulRun(date) {
+    this._cache.lastSuccessfulRun = date.toISOString();
+  }
+
+  /**
+   * Get stored HTTP validators for a feed URL ({ etag, lastModified })
+   */
+  getFeedValidators(url) {
+    return this._cache?.feeds?.[url] || null;
+  }
+
+  /**
+   * Store HTTP validators for a feed URL
+   */
+  setFeedValidators(url, validators) {
+    if (!this._cache.feeds) {
+      this._cache.feeds = {};
+    }
+
+    this._cache.feeds[url] = {
+      ...validators,
+      updatedAt: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Get health records for all feeds (url -> record)
+   */
+  getFeedHealth() {
+    if (!this._cache.feedHealth) {
+      this._cache.feedHealth = {};
+    }
+    return this._cache.feedHealth;
+  }
+
+  /**
+   * Get resolved canonical URL for a URL
+   */
+  getCanonicalUrl(url) {
+    return this._cache?.canonicalUrls?.[url]?.canonical || null;
+  }
+
+  /**
+   * Store resolved canonical URL for a URL
+   */
+  setCanonicalUrl(url, canonical) {
+    if (!this._cache.canonicalUrls) {
+      this._cache.canonicalUrls = {};
+    }
+
+    this._cache.canonicalUrls[url] = {
+      canonical,
+      resolvedAt: new Date().toISOString()
+    };
+  }
+
   /**
    * Clean up old entries (older than retention days)
    */
@@ -128,6 +220,32 @@ export class CacheService {
       }
     }
 
+    // Drop per-feed state for feeds that have not been fetched within retention
+    for (const [url, entry] of Object.entries(this._cache.feeds || {})) {
+      if (new Date(entry.updatedAt) < cutoffDate) {
+        delete this._cache.feeds[url];
+        removedCount++;
+      }
+    }
+
+    for (const [url, record] of Object.entries(this._cache.feedHealth || {})) {
+      const lastActivity = Math.max(
+        new Date(record.lastSuccess || 0).getTime(),
+        new Date(record.lastFailure || 0).getTime()
+      );
+      if (lastActivity < cutoffDate.getTime()) {
+        delete this._cache.feedHealth[url];
+        removedCount++;
+      }
+    }
+
+    for (const [url, entry] of Object.entries(this._cache.canonicalUrls || {})) {
+      if (new Date(entry.resolvedAt) < cutoffDate) {
+        delete this._cache.canonicalUrls[url];
+        removedCount++;
+      }
+    }
+
     if (removedCount > 0) {
       logger.info(`Cleaned up ${removedCount} old cache entries`, 'CacheService');
       await this.save();
@@ -152,16 +270,17 @@ export class CacheService {
 
   /**
    * Create empty cache structure
+   * Per-source buckets are created on demand by add()
    */
   _createEmptyCache() {
     return {
       version: CACHE_CONFIG.version,
       lastUpdated: new Date().toISOString(),
-      articles: {
-        hackernews: {},
-        qiita: {},
-        zenn: {}
-      }
+      lastSuccessfulRun: null,
+      articles: {},
+      feeds: {},
+      feedHealth: {},
+      canonicalUrls: {}
     };
   }
 
@@ -0,0 +1,128 @@
+import { ContentExtractor } from '../parsers/ContentExtractor.js';
+import { getHttpClient } from '../utils/HttpClient.js';
+import { getLogger } from '../utils/Logger.js';
+import { CONTENT_EXTRACTION_CONFIG } from '../../config/constants.js';
+
+const logger = getLogger();
+
+/**
+ * Full-text extraction stage
+ *
+ * Downloads article pages (size-capped, per-host allow/deny) and stores the
+ * extracted main text as article.content for the summarization prompt.
+ * Failures are logged and leave the article unchanged.
+ */
+export class ContentExtractionService {
+  constructor(httpClient = null) {
+    this.httpClient = httpClient || getHttpClient();
+    this.extractor = new ContentExtractor();
+    this.configure();
+  }
+
+  /**
+   * Apply configuration from sources.json
+   */
+  configure(config = {}) {
+    const merged = { ...CONTENT_EXTRACTION_CONFIG, ...config };
+    this.enabled = merged.enabled;
+    this.maxContentLength = merged.maxContentLength;
+    this.maxTextLength = merged.maxTextLength;
+    this.minTextLength = merged.minTextLength;
+    this.timeout = merged.timeout;
+    this.concurrency = merged.concurrency;
+    this.allowHosts = merged.allowHosts.map(host => host.toLowerCase());
+    this.denyHosts = merged.denyHosts.map(host => host.toLowerCase());
+  }
+
+  /**
+   * Replace the HTTP layer (e.g., with a stub)
+   */
+  setHttpClient(httpClient) {
+    this.httpClient = httpClient;
+  }
+
+  /**
+   * Check a URL against the allow/deny lists (subdomains match their parent)
+   */
+  isAllowed(url) {
+    let host;
+    try {
+      host = new URL(url).hostname.toLowerCase();
+    } catch {
+      return false;
+    }
+
+    const matches = list => list.some(entry => host === entry || host.endsWith(`.${entry}`));
+    if (matches(this.denyHosts)) return false;
+    return this.allowHosts.length === 0 || matches(this.allowHosts);
+  }
+
+  /**
+   * Extract full text for articles without content
+   */
+  async extractAll(articles) {
+    const context = 'ContentExtractionService';
+    if (!this.enabled) {
+      return articles;
+    }
+
+    const targets = articles.filter(article => !article.content && this.isAllowed(article.url));
+    let extracted = 0;
+
+    for (let i = 0; i < targets.length; i += this.concurrency) {
+      const chunk = targets.slice(i, i + this.concurrency);
+      const results = await Promise.all(chunk.map(article => this.extract(article.url)));
+
+      results.forEach((text, index) => {
+        if (text) {
+          chunk[index].content = text;
+          extracted++;
+        }
+      });
+    }
+
+    logger.info(`Extracted full text for ${extracted}/${targets.length} articles`, context);
+    return articles;
+  }
+
+  /**
+   * Download a page and extract its main text (null on failure or non-HTML)
+   */
+  async extract(url) {
+    const context = 'ContentExtractionService';
+
+    try {
+      const response = await this.httpClient.get(url, {
+        timeout: this.timeout,
+        maxContentLength: this.maxContentLength
+      });
+
+      const contentType = String(response.headers?.['content-type'] || '');
+      if (contentType && !/html/i.test(contentType)) {
+        logger.debug(`Skipping non-HTML content (${contentType}): ${url}`, context);
+        return null;
+      }
+
+      const text = this.extractor.extract(String(response.data || ''));
+      if (!text || text.length < this.minTextLength) {
+        logger.debug(`No usable text extracted: ${url}`, context);
+        return null;
+      }
+
+      return text.slice(0, this.maxTextLength);
+    } catch (error) {
+      logger.debug(`Failed to extract ${url}: ${error.message}`, context);
+      return null;
+    }
+  }
+}
+
+// Singleton instance
+let contentExtractionServiceInstance = null;
+
+export function getContentExtractionService() {
+  if (!contentExtractionServiceInstance) {
+    contentExtractionServiceInstance = new ContentExtractionService();
+  }
+  return contentExtractionServiceInstance;
+}
@@ -10,6 +10,8 @@ export class DeduplicationService {
   constructor() {
     this.cacheService = getCacheService();
     this._loaded = false;
+    // Articles returned by filterNew() but not yet delivered (hash -> Article)
+    this._reserved = new Map();
   }
 
   /**
@@ -17,27 +19,26 @@ export class DeduplicationService {
    */
   async initialize() {
     if (!this._loaded) {
-      await this.cacheService.load();
+      await this.cacheService.ensureLoaded();
       this._loaded = true;
     }
   }
 
   /**
    * Filter out already seen articles
+   * New articles are only reserved; call commit() once they have been delivered
    */
   async filterNew(articles) {
     await this.initialize();
 
-    const cache = this.cacheService.getCache();
     const newArticles = [];
 
     for (const article of articles) {
       const hash = article.getHash();
 
-      if (!this.cacheService.has(hash)) {
+      if (!this.isSeen(article) && !this._reserved.has(hash)) {
         newArticles.push(article);
-        // Mark as seen
-        this.cacheService.add(article.source, hash, article.publishedAt?.toISOString());
+        this._reserved.set(hash, article);
       }
     }
 
@@ -46,10 +47,49 @@ export class DeduplicationService {
     return newArticles;
   }
 
+  /**
+   * Mark delivered articles (and their related entries) as seen
+   * Reserved articles that are never committed stay eligible for the next run
+   */
+  commit(articles) {
+    let committed = 0;
+
+    for (const article of articles) {
+      const entries = [
+        { source: article.source, id: article.getHash(), publishedAt: article.publishedAt },
+        ...(article.related || [])
+      ];
+
+      for (const entry of entries) {
+        this.cacheService.add(entry.source, entry.id, entry.publishedAt?.toISOString());
+        this._reserved.delete(entry.id);
+        committed++;
+      }
+    }
+
+    logger.info(`Committed ${committed} delivered articles, ${this._reserved.size} reserved left for next run`, 'DeduplicationService');
+  }
+
+  /**
+   * Check if article has been delivered (committed)
+   * IDs written before URL canonicalization still match via the legacy hash
+   */
+  isSeen(article) {
+    return this.cacheService.has(article.getHash()) || this.cacheService.has(article.getLegacyHash());
+  }
+
+  /**
+   * Get number of reserved (not yet committed) articles
+   */
+  getReservedCount() {
+    return this._reserved.size;
+  }
+
   /**
    * Save updated cache
    */
   async save() {
+    await this.initialize();
     await this.cacheService.save();
   }
 
@@ -57,6 +97,7 @@ export class DeduplicationService {
    * Clean up old cache entries
    */
   async cleanup() {
+    await this.initialize();
     await this.cacheService.cleanup();
   }
 
@@ -33,7 +33,16 @@ export class DiscordNotifier {
 
     for (let i = 0; i < messages.length; i++) {
       const message = messages[i];
-      const result = await this._sendMessage(message, i + 1, messages.length);
+      let result;
+
+      try {
+        result = await this._sendMessage(message, i + 1, messages.length);
+      } catch (error) {
+        // Let callers know which messages were delivered before the failure
+        error.sentCount = i;
+        throw error;
+      }
+
       results.push(result);
 
       // Add small delay between messages to avoid rate limiting
@@ -0,0 +1,155 @@
+import { getCacheService } from './CacheService.js';
+import { getLogger } from '../utils/Logger.js';
+import { FEED_HEALTH_CONFIG } from '../../config/constants.js';
+
+const logger = getLogger();
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Per-feed health tracking with automatic quarantine
+ *
+ * Records are persisted in seen.json. A feed is quarantined after N consecutive
+ * failures and skipped until its next probe time; each failed probe doubles the
+ * delay up to probeMaxHours. Quarantine and recovery are collected as events
+ * for the digest footer or a maintenance message.
+ */
+export class FeedHealthService {
+  constructor() {
+    this.cacheService = getCacheService();
+    this.configure();
+    this._events = [];
+  }
+
+  /**
+   * Apply configuration from sources.json
+   */
+  configure(config = {}) {
+    this.quarantineAfter = config.quarantineAfter ?? FEED_HEALTH_CONFIG.quarantineAfter;
+    this.probeBaseHours = config.probeBaseHours ?? FEED_HEALTH_CONFIG.probeBaseHours;
+    this.probeMaxHours = config.probeMaxHours ?? FEED_HEALTH_CONFIG.probeMaxHours;
+    this.itemCountAlpha = config.itemCountAlpha ?? FEED_HEALTH_CONFIG.itemCountAlpha;
+  }
+
+  /**
+   * Get (or create) health record for a feed
+   */
+  _getRecord(url) {
+    const records = this.cacheService.getFeedHealth();
+    if (!records[url]) {
+      records[url] = {
+        lastSuccess: null,
+        lastFailure: null,
+        consecutiveFailures: 0,
+        lastError: null,
+        avgItemCount: null,
+        quarantinedAt: null,
+        nextProbeAt: null,
+        probeCount: 0
+      };
+    }
+    return records[url];
+  }
+
+  /**
+   * Check if a feed should be skipped this run
+   */
+  async isQuarantined(url, now = new Date()) {
+    await this.cacheService.ensureLoaded();
+    const record = this.cacheService.getFeedHealth()[url];
+    if (!record?.quarantinedAt) return false;
+
+    return now < new Date(record.nextProbeAt);
+  }
+
+  /**
+   * Record a successful fetch (itemCount is null for 304 Not Modified)
+   */
+  recordSuccess(url, itemCount = null, sourceName = 'Unknown') {
+    const record = this._getRecord(url);
+
+    if (record.quarantinedAt) {
+      logger.info(`Feed recovered from quarantine: ${url}`, 'FeedHealthService');
+      this._events.push({ type: 'recovered', url, sourceName });
+    }
+
+    record.lastSuccess = new Date().toISOString();
+    record.consecutiveFailures = 0;
+    record.quarantinedAt = null;
+    record.nextProbeAt = null;
+    record.probeCount = 0;
+
+    if (typeof itemCount === 'number') {
+      record.avgItemCount = record.avgItemCount === null
+        ? itemCount
+        : record.avgItemCount + this.itemCountAlpha * (itemCount - record.avgItemCount);
+    }
+  }
+
+  /**
+   * Record a failed fetch; quarantines or backs off as needed
+   */
+  recordFailure(url, error, sourceName = 'Unknown') {
+    const record = this._getRecord(url);
+    const now = new Date();
+
+    record.lastFailure = now.toISOString();
+    record.consecutiveFailures++;
+    record.lastError = error?.message || String(error);
+
+    if (record.quarantinedAt) {
+      // Failed probe: back off further
+      record.probeCount++;
+      record.nextProbeAt = this._nextProbeAt(now, record.probeCount).toISOString();
+      logger.info(`Quarantined feed still failing, next probe at ${record.nextProbeAt}: ${url}`, 'FeedHealthService');
+      return;
+    }
+
+    if (record.consecutiveFailures >= this.quarantineAfter) {
+      record.quarantinedAt = now.toISOString();
+      record.probeCount = 0;
+      record.nextProbeAt = this._nextProbeAt(now, 0).toISOString();
+      logger.warn(`Feed quarantined after ${record.consecutiveFailures} consecutive failures: ${url}`, 'FeedHealthService');
+      this._events.push({
+        type: 'quarantined',
+        url,
+        sourceName,
+        consecutiveFailures: record.consecutiveFailures,
+        error: record.lastError
+      });
+    }
+  }
+
+  /**
+   * Compute next probe time with exponential backoff
+   */
+  _nextProbeAt(now, probeCount) {
+    const hours = Math.min(this.probeBaseHours * Math.pow(2, probeCount), this.probeMaxHours);
+    return new Date(now.getTime() + hours * HOUR_MS);
+  }
+
+  /**
+   * Get health changes from this run
+   */
+  getEvents() {
+    return this._events;
+  }
+
+  /**
+   * Get URLs of all currently quarantined feeds
+   */
+  getQuarantinedFeeds() {
+    return Object.entries(this.cacheService.getFeedHealth())
+      .filter(([, record]) => record.quarantinedAt)
+      .map(([url]) => url);
+  }
+}
+
+// Singleton instance
+let feedHealthServiceInstance = null;
+
+export function getFeedHealthService() {
+  if (!feedHealthServiceInstance) {
+    feedHealthServiceInstance = new FeedHealthService();
+  }
+  return feedHealthServiceInstance;
+}
@@ -1,38 +1,117 @@
-import { GoogleGenerativeAI } from '@google/generative-ai';
 import { GEMINI_CONFIG } from '../../config/constants.js';
+import { getProviderRegistry } from '../llm/ProviderRegistry.js';
+import { UsageTracker } from '../llm/UsageTracker.js';
+import { getSummaryCacheService } from './SummaryCacheService.js';
 import { getLogger } from '../utils/Logger.js';
 
 const logger = getLogger();
 
+// Response schemas (plain JSON schema, translated by each provider)
+
+// Relevance classification
+const CLASSIFICATION_SCHEMA = {
+  type: 'array',
+  items: {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      aiRelated: { type: 'boolean' },
+      relevance: { type: 'number' },
+      category: { type: 'string', enum: GEMINI_CONFIG.categories }
+    },
+    required: ['id', 'aiRelated', 'relevance', 'category']
+  }
+};
+
+// Batched summarization
+const SUMMARY_SCHEMA = {
+  type: 'array',
+  items: {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      translatedTitle: { type: 'string' },
+      summary: { type: 'string' },
+      category: { type: 'string', enum: GEMINI_CONFIG.categories }
+    },
+    required: ['id', 'translatedTitle', 'summary', 'category']
+  }
+};
+
 /**
- * Gemini API service for article summarization and translation
+ * LLM service for article classification, summarization and translation
+ * Requests go through the provider selected in config (see src/llm)
  */
 export class GeminiService {
-  constructor(apiKey = null) {
-    const key = apiKey || process.env.GEMINI_API_KEY;
-    if (!key) {
-      logger.warn('GEMINI_API_KEY not set, summaries will be skipped', 'GeminiService');
-      this.enabled = false;
-      return;
+  constructor(provider = null) {
+    this.summaryCache = getSummaryCacheService();
+    this.usage = new UsageTracker();
+    // Disabled until configure() (or setProvider()) is called
+    this.provider = null;
+    this.enabled = false;
+
+    if (provider) {
+      this.setProvider(provider);
     }
+  }
+
+  /**
+   * Create the provider from config (sources.json "llm" block)
+   */
+  configure(config = {}) {
+    this.usage.configure(config.budget);
 
     try {
-      const genAI = new GoogleGenerativeAI(key);
-      this.model = genAI.getGenerativeModel({
-        model: GEMINI_CONFIG.model,
-        generationConfig: {
-          temperature: GEMINI_CONFIG.temperature,
-          maxOutputTokens: 1000,
-        }
-      });
-      this.enabled = true;
-      logger.info('Gemini service initialized', 'GeminiService');
+      this.setProvider(getProviderRegistry().create(config));
     } catch (error) {
-      logger.error('Failed to initialize Gemini service', error, 'GeminiService');
+      logger.error('Failed to initialize LLM provider', error, 'GeminiService');
+      this.provider = null;
       this.enabled = false;
+      return;
+    }
+
+    if (this.enabled) {
+      logger.info(`LLM provider initialized: ${this.provider.name} (${this.provider.model})`, 'GeminiService');
+    } else {
+      logger.warn(`LLM provider ${this.provider.name} is not available (API key or endpoint missing), summaries will be skipped`, 'GeminiService');
     }
   }
 
+  /**
+   * Replace the provider (e.g., with a stub)
+   */
+  setProvider(provider) {
+    this.provider = provider;
+    this.enabled = provider.isAvailable();
+  }
+
+  /**
+   * Send a request through the provider, counting every attempt against the budget
+   */
+  async _generate(request) {
+    return this.provider.generate(request, this.usage);
+  }
+
+  /**
+   * Check the per-run budget; logs and counts the articles left out once it is spent
+   */
+  _hasBudget(stage, remaining) {
+    if (this.usage.remainingRequests() > 0) {
+      return true;
+    }
+
+    logger.warn(`LLM budget exhausted, skipping ${stage} for ${remaining} articles`, 'GeminiService');
+    this.usage.skip(stage, remaining);
+    return false;
+  }
+
+  /**
+   * Usage of this run (see UsageTracker.getSummary)
+   */
+  getUsage() {
+    return this.usage.getSummary();
+  }
+
   /**
    * Check if text contains Japanese characters
    */
@@ -55,19 +134,47 @@ export class GeminiService {
     return 'en';
   }
 
+  /**
+   * Article body for prompts: full content when available, else the feed summary
+   */
+  _getPromptContent(article) {
+    if (article.content) {
+      return article.content.slice(0, GEMINI_CONFIG.maxContentLength);
+    }
+    return article.summary;
+  }
+
+  /**
+   * Check if article is a software release (see GitHubFetcher)
+   */
+  _isRelease(article) {
+    return article.metadata?.kind === 'release';
+  }
+
   /**
    * Build prompt for summarization/translation
    */
   _buildPrompt(article, targetLanguage) {
     const isJapanese = this._isJapanese(article.title);
     const maxLength = GEMINI_CONFIG.maxSummaryLength;
+    const content = this._getPromptContent(article);
+
+    if (this._isRelease(article)) {
+      // Release notes: short Japanese changelog, title kept as-is
+      return `あなたはソフトウェアのリリースノートの要約アシスタントです。以下のリリースの主な変更点を${maxLength}文字以内の日本語で簡潔にまとめてください。
+
+リリース: ${article.title}
+${content ? `リリースノート: ${content}` : ''}
+
+変更点の要約:`;
+    }
 
     if (isJapanese && targetLanguage === 'ja') {
       // Japanese article, summarize in Japanese
       return `あなたはニュース記事の要約アシスタントです。以下の記事を${maxLength}文字程度で日本語で要約してください。
 
 タイトル: ${article.title}
-${article.summary ? `内容概要: ${article.summary}` : ''}
+${content ? `内容概要: ${content}` : ''}
 
 要約（重要なポイントを${maxLength}文字以内で簡潔にまとめてください）:`;
     } else if (!isJapanese && targetLanguage === 'ja') {
@@ -79,7 +186,7 @@ ${article.summary ? `内容概要: ${article.summary}` : ''}
 2. 記事の内容を${maxLength}文字程度で日本語で要約
 
 Title: ${article.title}
-${article.summary ? `Content: ${article.summary}` : ''}
+${content ? `Content: ${content}` : ''}
 
 以下の形式で正確に出力してください:
 TITLE: 翻訳されたタイトル
@@ -89,14 +196,14 @@ SUMMARY: 要約文`;
       return `Summarize the following article in ${maxLength} characters.
 
 Title: ${article.title}
-${article.summary ? `Content: ${article.summary}` : ''}
+${content ? `Content: ${content}` : ''}
 
 Summary:`;
     }
   }
 
   /**
-   * Parse Gemini response to extract translated title and summary
+   * Parse model response to extract translated title and summary
    */
   _parseResponse(response, originalLanguage) {
     const text = response.trim();
@@ -156,62 +263,431 @@ Summary:`;
       logger.debug(`Summarizing article: ${article.title.slice(0, 30)}...`, context);
       logger.debug(`Detected language: ${detectedLanguage}`, context);
 
-      const result = await this.model.generateContent(prompt);
-      const response = result.response.text();
+      const { text: response } = await this._generate({
+        prompt,
+        temperature: GEMINI_CONFIG.temperature,
+        maxOutputTokens: 1000
+      });
 
-      logger.debug(`Gemini raw response: "${response}"`, context);
+      logger.debug(`LLM raw response: "${response}"`, context);
 
-      const parsed = this._parseResponse(response, detectedLanguage);
+      // Changelog prompts return only a Japanese summary
+      const parsed = this._parseResponse(response, this._isRelease(article) ? 'ja' : detectedLanguage);
 
       logger.debug(`Parsed - title: "${parsed.translatedTitle}", summary: "${parsed.summary}"`, context);
 
       return parsed;
     } catch (error) {
+      if (error.budgetExceeded) {
+        this.usage.skip('summary', 1);
+      }
       logger.warn(`Failed to summarize article: ${error.message}`, context);
       return { translatedTitle: null, summary: null };
     }
   }
 
   /**
-   * Summarize multiple articles in batches
+   * Apply a summary result to an article and remember it for later runs
+   */
+  _applySummary(article, { translatedTitle, summary, category = null }, targetLanguage = 'ja') {
+    article.setAiSummary(summary);
+    if (translatedTitle) {
+      article.setTranslatedTitle(translatedTitle);
+    }
+    this.summaryCache.set(article.id, this.provider.model, this._promptVersion(targetLanguage), { translatedTitle, summary, category });
+  }
+
+  /**
+   * Prompt version used in summary cache keys
+   */
+  _promptVersion(targetLanguage) {
+    return `${GEMINI_CONFIG.promptVersion}-${targetLanguage}`;
+  }
+
+  /**
+   * Apply a cached summary (returns false when there is none)
+   */
+  _applyCachedSummary(article, targetLanguage) {
+    const cached = this.summaryCache.get(article.id, this.provider.model, this._promptVersion(targetLanguage));
+    if (!cached) {
+      return false;
+    }
+
+    article.setAiSummary(cached.summary);
+    if (cached.translatedTitle) {
+      article.setTranslatedTitle(cached.translatedTitle);
+    }
+    this._applyCategory(article, cached.category);
+    return true;
+  }
+
+  /**
+   * Summarize multiple articles
+   * Batch mode sends one JSON request per chunk; items missing from the response
+   * are retried one article at a time. Articles are processed in the given order,
+   * so once the run budget is spent only the leading (top-ranked) ones have summaries.
+   * Cached summaries are applied even when the provider is unavailable
    */
   async summarizeBatch(articles, targetLanguage = 'ja') {
-    if (!this.enabled || articles.length === 0) {
+    if (!this.provider || articles.length === 0) {
+      return articles;
+    }
+
+    // Reuse summaries from earlier runs
+    await this.summaryCache.ensureLoaded();
+    const uncached = articles.filter(article => !this._applyCachedSummary(article, targetLanguage));
+    if (uncached.length < articles.length) {
+      logger.info(`Reused ${articles.length - uncached.length} cached summaries`, 'GeminiService');
+    }
+    if (!this.enabled || uncached.length === 0) {
       return articles;
     }
 
+    if (GEMINI_CONFIG.summaryMode === 'batch' && targetLanguage === 'ja') {
+      await this._summarizeInChunks(uncached);
+    } else {
+      await this._summarizeEach(uncached, targetLanguage);
+    }
+
+    await this.summaryCache.save();
+    return articles;
+  }
+
+  /**
+   * Summarize articles with one request each, a few in parallel
+   */
+  async _summarizeEach(articles, targetLanguage = 'ja') {
     const batchSize = GEMINI_CONFIG.batchSize;
 
     logger.info(`Summarizing ${articles.length} articles in batches of ${batchSize}`, 'GeminiService');
 
-    for (let i = 0; i < articles.length; i += batchSize) {
-      const batch = articles.slice(i, i + batchSize);
-      const batchNum = Math.floor(i / batchSize) + 1;
-      const totalBatches = Math.ceil(articles.length / batchSize);
+    const totalBatches = Math.ceil(articles.length / batchSize);
+
+    for (let i = 0, batchNum = 1; i < articles.length; batchNum++) {
+      if (!this._hasBudget('summary', articles.length - i)) break;
+
+      // Never start more parallel requests than the budget has left
+      const batch = articles.slice(i, i + Math.min(batchSize, this.usage.remainingRequests()));
+      i += batch.length;
 
       logger.info(`Processing batch ${batchNum}/${totalBatches}`, 'GeminiService');
 
       // Process batch in parallel
       await Promise.all(
         batch.map(async (article) => {
-          const { translatedTitle, summary } = await this.summarizeArticle(article, targetLanguage);
-          article.setAiSummary(summary);
-          if (translatedTitle) {
-            article.setTranslatedTitle(translatedTitle);
-          }
+          this._applySummary(article, await this.summarizeArticle(article, targetLanguage), targetLanguage);
         })
       );
 
       // Small delay between batches to avoid rate limiting
+      if (i < articles.length) {
+        await this._sleep(500);
+      }
+    }
+
+    logger.info(`Completed summarizing ${articles.length} articles`, 'GeminiService');
+    return articles;
+  }
+
+  /**
+   * Summarize articles in chunks with a JSON response schema
+   */
+  async _summarizeInChunks(articles) {
+    const batchSize = GEMINI_CONFIG.summaryBatchSize;
+    const missing = [];
+
+    logger.info(`Summarizing ${articles.length} articles in batched requests of ${batchSize}`, 'GeminiService');
+
+    for (let i = 0; i < articles.length; i += batchSize) {
+      if (!this._hasBudget('summary', articles.length - i)) break;
+
+      const chunk = articles.slice(i, i + batchSize);
+      let results = new Map();
+
+      try {
+        results = await this._summarizeChunk(chunk);
+      } catch (error) {
+        logger.warn(`Failed to summarize batch: ${error.message}`, 'GeminiService.summarize');
+      }
+
+      chunk.forEach((article, index) => {
+        const result = results.get(String(index + 1));
+        if (result) {
+          // Japanese titles and releases keep their original title
+          if (this._isJapanese(article.title) || this._isRelease(article)) {
+            result.translatedTitle = null;
+          }
+          this._applySummary(article, result);
+          this._applyCategory(article, result.category);
+        } else {
+          missing.push(article);
+        }
+      });
+
       if (i + batchSize < articles.length) {
         await this._sleep(500);
       }
     }
 
+    if (missing.length > 0) {
+      logger.info(`Retrying ${missing.length} articles missing from batched responses`, 'GeminiService');
+      await this._summarizeEach(missing);
+    }
+
     logger.info(`Completed summarizing ${articles.length} articles`, 'GeminiService');
     return articles;
   }
 
+  /**
+   * Fill in the category when the classification has none (e.g., keyword fallback)
+   */
+  _applyCategory(article, category) {
+    if (category && article.classification && !article.classification.category) {
+      article.setClassification({ ...article.classification, category });
+    }
+  }
+
+  /**
+   * Build prompt for summarizing multiple articles in one request
+   */
+  _buildBatchSummaryPrompt(entries) {
+    const maxLength = GEMINI_CONFIG.maxSummaryLength;
+    const categories = GEMINI_CONFIG.categories.join(', ');
+    const list = entries.map(({ id, article }) => {
+      const lines = [`id: ${id}`];
+      lines.push(this._isRelease(article) ? `リリース: ${article.title}` : `タイトル: ${article.title}`);
+      const content = this._getPromptContent(article);
+      if (content) lines.push(`内容: ${content}`);
+      return lines.join('\n');
+    }).join('\n\n');
+
+    return `あなたはAIニュースの要約・翻訳アシスタントです。以下の各記事について出力してください。
+
+出力項目:
+- translatedTitle: 英語のタイトルは日本語に翻訳したもの。日本語のタイトルとリリースは空文字
+- summary: 記事の内容の${maxLength}文字以内の日本語の要約（リリースは主な変更点の要約）
+- category: 最も当てはまるカテゴリ（${categories} のいずれか）
+
+各記事の id をそのまま使い、JSON 配列で出力してください。
+
+${list}`;
+  }
+
+  /**
+   * Validate a single summary item from the model
+   */
+  _validateSummary(item) {
+    if (!item || typeof item !== 'object') return null;
+    if (typeof item.summary !== 'string' || !item.summary.trim()) return null;
+
+    const translatedTitle = typeof item.translatedTitle === 'string' ? item.translatedTitle.trim() : '';
+
+    return {
+      translatedTitle: translatedTitle || null,
+      summary: item.summary.trim(),
+      category: GEMINI_CONFIG.categories.includes(item.category) ? item.category : null
+    };
+  }
+
+  /**
+   * Summarize a chunk of articles in a single request
+   */
+  async _summarizeChunk(articles) {
+    const entries = articles.map((article, index) => ({ id: String(index + 1), article }));
+    const prompt = this._buildBatchSummaryPrompt(entries);
+
+    const { text } = await this._generate({
+      prompt,
+      temperature: GEMINI_CONFIG.temperature,
+      maxOutputTokens: 8000,
+      schema: SUMMARY_SCHEMA
+    });
+
+    logger.debug(`LLM batch summary response: "${text}"`, 'GeminiService.summarize');
+
+    return this._parseBatchResponse(
+      text,
+      new Set(entries.map(entry => entry.id)),
+      item => this._validateSummary(item),
+      'GeminiService.summarize'
+    );
+  }
+
+  /**
+   * Build prompt for relevance classification of multiple articles
+   */
+  _buildClassificationPrompt(entries) {
+    const categories = GEMINI_CONFIG.categories.join(', ');
+    const list = entries.map(({ id, article }) => {
+      const lines = [`id: ${id}`, `タイトル: ${article.title}`];
+      if (article.summary) lines.push(`概要: ${article.summary}`);
+      if (article.tags.length > 0) lines.push(`タグ: ${article.tags.join(', ')}`);
+      return lines.join('\n');
+    }).join('\n\n');
+
+    return `あなたはAIニュースの編集者です。以下の各記事について判定してください。
+
+判定項目:
+- aiRelated: AI（機械学習、LLM、生成AIなど）に関する記事かどうか（true/false）
+- relevance: AIニュースとしての関連度（0〜1の数値、1が最も関連が高い）
+- category: 最も当てはまるカテゴリ（${categories} のいずれか）
+
+各記事の id をそのまま使い、JSON 配列で出力してください。
+
+${list}`;
+  }
+
+  /**
+   * Validate a single classification item from the model
+   */
+  _validateClassification(item) {
+    if (!item || typeof item !== 'object') return null;
+    if (typeof item.aiRelated !== 'boolean') return null;
+
+    const relevance = Number(item.relevance);
+    if (!Number.isFinite(relevance)) return null;
+
+    return {
+      aiRelated: item.aiRelated,
+      relevance: Math.min(1, Math.max(0, relevance)),
+      category: GEMINI_CONFIG.categories.includes(item.category) ? item.category : null,
+      source: 'llm',
+      provider: this.provider.name
+    };
+  }
+
+  /**
+   * Parse a JSON array response into a map of id -> validated item
+   * Items with unknown or duplicate ids, or failing validation, are dropped
+   */
+  _parseBatchResponse(text, ids, validate, context) {
+    const results = new Map();
+    let parsed;
+
+    try {
+      parsed = JSON.parse(text);
+    } catch (error) {
+      logger.warn(`Response is not valid JSON: ${error.message}`, context);
+      return results;
+    }
+
+    if (!Array.isArray(parsed)) {
+      logger.warn('Response is not an array', context);
+      return results;
+    }
+
+    for (const item of parsed) {
+      const id = String(item?.id);
+      if (!ids.has(id) || results.has(id)) {
+        logger.debug(`Ignoring item with unknown or duplicate id: ${id}`, context);
+        continue;
+      }
+
+      const value = validate(item);
+      if (value) {
+        results.set(id, value);
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Parse classification response into a map of id -> classification
+   */
+  _parseClassificationResponse(text, ids) {
+    return this._parseBatchResponse(text, ids, item => this._validateClassification(item), 'GeminiService.classify');
+  }
+
+  /**
+   * Fallback classification based on keyword relevance (or neutral if none)
+   */
+  _fallbackClassification(article) {
+    if (article.relevance) {
+      return {
+        aiRelated: article.relevance.relevant,
+        relevance: article.relevance.relevant ? Math.min(1, 0.4 + article.relevance.score * 0.2) : 0,
+        category: null,
+        source: 'keywords'
+      };
+    }
+
+    return { aiRelated: true, relevance: 0.5, category: null, source: 'fallback' };
+  }
+
+  /**
+   * Classify a chunk of articles in a single request
+   */
+  async _classifyChunk(articles) {
+    const entries = articles.map((article, index) => ({ id: String(index + 1), article }));
+    const prompt = this._buildClassificationPrompt(entries);
+
+    const { text } = await this._generate({
+      prompt,
+      temperature: 0,
+      maxOutputTokens: 4000,
+      schema: CLASSIFICATION_SCHEMA
+    });
+
+    logger.debug(`LLM classification response: "${text}"`, 'GeminiService.classify');
+
+    return this._parseClassificationResponse(text, new Set(entries.map(entry => entry.id)));
+  }
+
+  /**
+   * Classify AI relevance and category for multiple articles
+   * Articles without a valid model result (or past the run budget) get a keyword-based fallback
+   */
+  async classifyBatch(articles) {
+    if (articles.length === 0) {
+      return articles;
+    }
+
+    if (!this.enabled) {
+      articles.forEach(article => article.setClassification(this._fallbackClassification(article)));
+      return articles;
+    }
+
+    const batchSize = GEMINI_CONFIG.classificationBatchSize;
+    let classifiedCount = 0;
+
+    logger.info(`Classifying ${articles.length} articles in batches of ${batchSize}`, 'GeminiService');
+
+    for (let i = 0; i < articles.length; i += batchSize) {
+      if (!this._hasBudget('classification', articles.length - i)) {
+        articles.slice(i).forEach(article => article.setClassification(this._fallbackClassification(article)));
+        break;
+      }
+
+      const chunk = articles.slice(i, i + batchSize);
+      let results = new Map();
+
+      try {
+        results = await this._classifyChunk(chunk);
+      } catch (error) {
+        if (error.budgetExceeded) {
+          this.usage.skip('classification', chunk.length);
+        }
+        logger.warn(`Failed to classify articles: ${error.message}`, 'GeminiService.classify');
+      }
+
+      chunk.forEach((article, index) => {
+        const classification = results.get(String(index + 1));
+        if (classification) {
+          classifiedCount++;
+        }
+        article.setClassification(classification || this._fallbackClassification(article));
+      });
+
+      if (i + batchSize < articles.length) {
+        await this._sleep(500);
+      }
+    }
+
+    logger.info(`Classified ${classifiedCount}/${articles.length} articles (others use fallback)`, 'GeminiService');
+    return articles;
+  }
+
   /**
    * Sleep for specified milliseconds
    */
@@ -0,0 +1,121 @@
+import { getHttpClient } from '../utils/HttpClient.js';
+import { RetryHandler } from '../utils/RetryHandler.js';
+import { getLogger } from '../utils/Logger.js';
+import { HATENA_BOOKMARK_CONFIG } from '../../config/constants.js';
+
+const logger = getLogger();
+
+/**
+ * Hatena Bookmark count lookup
+ *
+ * Fills engagement.bookmarks for articles from other sources using the
+ * bookmark count API (up to 50 URLs per request). Lookup failures are
+ * logged and leave the articles unchanged.
+ */
+export class HatenaBookmarkService {
+  constructor(httpClient = null) {
+    this.httpClient = httpClient || getHttpClient();
+    this.retryHandler = new RetryHandler();
+    this.configure();
+  }
+
+  /**
+   * Apply configuration from sources.json
+   */
+  configure(config = {}) {
+    this.enabled = config.enabled !== false;
+    this.sources = config.sources ?? HATENA_BOOKMARK_CONFIG.sources;
+    this.countApiUrl = config.countApiUrl ?? HATENA_BOOKMARK_CONFIG.countApiUrl;
+    this.batchSize = config.batchSize ?? HATENA_BOOKMARK_CONFIG.batchSize;
+  }
+
+  /**
+   * Replace the HTTP layer (e.g., with a stub)
+   */
+  setHttpClient(httpClient) {
+    this.httpClient = httpClient;
+  }
+
+  /**
+   * Look up bookmark counts for articles from the configured sources
+   * Articles that already carry a count (e.g., from the Hatena feed) are skipped
+   */
+  async lookup(articles) {
+    const context = 'HatenaBookmarkService';
+    if (!this.enabled) {
+      return articles;
+    }
+
+    const targets = articles.filter(article =>
+      this.sources.includes(article.source) && article.engagement.bookmarks === undefined
+    );
+    const urls = [...new Set(targets.flatMap(article => this._lookupUrls(article)))];
+    if (urls.length === 0) {
+      return articles;
+    }
+
+    const counts = {};
+    for (let i = 0; i < urls.length; i += this.batchSize) {
+      const batch = urls.slice(i, i + this.batchSize);
+      try {
+        Object.assign(counts, await this._fetchCounts(batch));
+      } catch (error) {
+        logger.warn(`Failed to look up bookmark counts: ${error.message}`, context);
+      }
+    }
+
+    // Zero counts are left out so they don't dilute the engagement score
+    let found = 0;
+    for (const article of targets) {
+      const bookmarks = this._lookupUrls(article).reduce((sum, url) => sum + (counts[url] || 0), 0);
+      if (bookmarks > 0) {
+        article.engagement = { ...article.engagement, bookmarks };
+        found++;
+      }
+    }
+
+    logger.info(`Bookmark counts: ${found}/${targets.length} articles bookmarked`, context);
+    return articles;
+  }
+
+  /**
+   * URLs to look up for an article
+   * Counts are keyed by the exact bookmarked URL, so the published URL is queried
+   * along with the canonical form and their counts are added up
+   */
+  _lookupUrls(article) {
+    return [...new Set([article.url, article.canonicalUrl].filter(Boolean))];
+  }
+
+  /**
+   * Fetch counts for one batch ({ url: count }; unbookmarked URLs are 0)
+   */
+  async _fetchCounts(urls) {
+    const params = new URLSearchParams();
+    for (const url of urls) {
+      params.append('url', url);
+    }
+
+    const response = await this.retryHandler.execute(
+      () => this.httpClient.get(`${this.countApiUrl}?${params}`, { responseType: 'json' }),
+      'HatenaBookmarkService'
+    );
+    const data = typeof response.data === 'string' ? JSON.parse(response.data) : response.data;
+
+    const counts = {};
+    for (const url of urls) {
+      counts[url] = Number(data?.[url]) || 0;
+    }
+    return counts;
+  }
+}
+
+// Singleton instance
+let hatenaBookmarkServiceInstance = null;
+
+export function getHatenaBookmarkService() {
+  if (!hatenaBookmarkServiceInstance) {
+    hatenaBookmarkServiceInstance = new HatenaBookmarkService();
+  }
+  return hatenaBookmarkServiceInstance;
+}
@@ -0,0 +1,167 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { getCacheService } from './CacheService.js';
+import { getLogger } from '../utils/Logger.js';
+import { SUMMARY_CACHE_CONFIG } from '../../config/constants.js';
+
+const logger = getLogger();
+
+/**
+ * Persisted LLM summaries (summaries.json, next to seen.json)
+ *
+ * Entries are keyed by article id, model and prompt version, so changing
+ * either one regenerates summaries. Entries expire after ttlHours.
+ */
+export class SummaryCacheService {
+  constructor(cacheDir = null) {
+    this.cacheDir = cacheDir || getCacheService().getCacheDir();
+    this.cachePath = path.join(this.cacheDir, SUMMARY_CACHE_CONFIG.filename);
+    this.configure();
+    this._entries = {};
+    this._loadPromise = null;
+  }
+
+  /**
+   * Apply configuration from sources.json
+   */
+  configure(config = {}) {
+    this.enabled = config.enabled !== false;
+    // Cached summaries are still reused (e.g., in dry runs), new ones are not written
+    this.readOnly = config.readOnly ?? false;
+    this.ttlHours = config.ttlHours ?? SUMMARY_CACHE_CONFIG.ttlHours;
+    this.maxEntries = config.maxEntries ?? SUMMARY_CACHE_CONFIG.maxEntries;
+  }
+
+  /**
+   * Load cache from file once
+   */
+  async ensureLoaded() {
+    if (!this._loadPromise) {
+      this._loadPromise = this.load();
+    }
+    return this._loadPromise;
+  }
+
+  /**
+   * Load cache from file
+   */
+  async load() {
+    try {
+      const data = JSON.parse(await fs.readFile(this.cachePath, 'utf-8'));
+
+      if (data.version !== SUMMARY_CACHE_CONFIG.version) {
+        logger.warn('Summary cache version mismatch, resetting cache', 'SummaryCacheService');
+        this._entries = {};
+      } else {
+        this._entries = data.summaries && typeof data.summaries === 'object' ? data.summaries : {};
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.error('Failed to load summary cache, starting empty', error, 'SummaryCacheService');
+      }
+      this._entries = {};
+    }
+
+    logger.debug(`Loaded summary cache with ${Object.keys(this._entries).length} entries`, 'SummaryCacheService');
+    return this._entries;
+  }
+
+  /**
+   * Save cache to file (expired and excess entries are pruned)
+   */
+  async save() {
+    if (!this.enabled || this.readOnly) {
+      return;
+    }
+
+    try {
+      this._prune();
+      await fs.mkdir(this.cacheDir, { recursive: true });
+
+      const data = {
+        version: SUMMARY_CACHE_CONFIG.version,
+        lastUpdated: new Date().toISOString(),
+        summaries: this._entries
+      };
+
+      await fs.writeFile(this.cachePath, JSON.stringify(data, null, 2), 'utf-8');
+      logger.debug(`Summary cache saved with ${Object.keys(this._entries).length} entries`, 'SummaryCacheService');
+    } catch (error) {
+      // A lost cache only costs extra API calls
+      logger.warn(`Failed to save summary cache: ${error.message}`, 'SummaryCacheService');
+    }
+  }
+
+  /**
+   * Build cache key
+   */
+  _key(articleId, model, promptVersion) {
+    return `${articleId}:${model}:${promptVersion}`;
+  }
+
+  /**
+   * Check if an entry is older than the TTL
+   */
+  _isExpired(entry, now = new Date()) {
+    const ageHours = (now - new Date(entry.createdAt)) / (60 * 60 * 1000);
+    return !Number.isFinite(ageHours) || ageHours > this.ttlHours;
+  }
+
+  /**
+   * Get a cached summary ({ translatedTitle, summary, category }) or null
+   */
+  get(articleId, model, promptVersion) {
+    if (!this.enabled) return null;
+
+    const entry = this._entries[this._key(articleId, model, promptVersion)];
+    if (!entry || this._isExpired(entry)) {
+      return null;
+    }
+
+    return { translatedTitle: entry.translatedTitle, summary: entry.summary, category: entry.category };
+  }
+
+  /**
+   * Store a summary
+   */
+  set(articleId, model, promptVersion, { translatedTitle = null, summary, category = null }) {
+    if (!this.enabled || !summary) return;
+
+    this._entries[this._key(articleId, model, promptVersion)] = {
+      translatedTitle,
+      summary,
+      category,
+      createdAt: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Drop expired entries and keep the newest maxEntries
+   */
+  _prune() {
+    const now = new Date();
+    const kept = Object.entries(this._entries)
+      .filter(([, entry]) => !this._isExpired(entry, now))
+      .sort(([, a], [, b]) => new Date(b.createdAt) - new Date(a.createdAt))
+      .slice(0, this.maxEntries);
+
+    this._entries = Object.fromEntries(kept);
+  }
+
+  /**
+   * Get cache path (for GitHub Actions cache)
+   */
+  getCachePath() {
+    return this.cachePath;
+  }
+}
+
+// Singleton instance
+let summaryCacheServiceInstance = null;
+
+export function getSummaryCacheService() {
+  if (!summaryCacheServiceInstance) {
+    summaryCacheServiceInstance = new SummaryCacheService();
+  }
+  return summaryCacheServiceInstance;
+}
@@ -0,0 +1,74 @@
+import axios from 'axios';
+import { HTTP_CONFIG } from '../../config/constants.js';
+
+/**
+ * Thin HTTP layer over axios
+ *
+ * Services take an HttpClient instance so tests and offline runs can swap in
+ * a stub that implements the same get() / post() contract.
+ */
+export class HttpClient {
+  constructor(config = {}) {
+    this.timeout = config.timeout ?? HTTP_CONFIG.timeout;
+    this.userAgent = config.userAgent ?? HTTP_CONFIG.userAgent;
+  }
+
+  /**
+   * GET a URL
+   * Returns { status, headers, data, url } where url is the final URL after redirects
+   */
+  async get(url, options = {}) {
+    const response = await axios.get(url, {
+      timeout: options.timeout ?? this.timeout,
+      headers: { 'User-Agent': this.userAgent, ...(options.headers || {}) },
+      responseType: options.responseType || 'text',
+      maxContentLength: options.maxContentLength,
+      maxRedirects: options.maxRedirects ?? 5,
+      validateStatus: options.validateStatus
+    });
+
+    return {
+      status: response.status,
+      headers: response.headers,
+      data: response.data,
+      url: response.request?.res?.responseUrl || url
+    };
+  }
+
+  /**
+   * POST a JSON body
+   * Returns { status, headers, data } with data parsed as JSON
+   */
+  async post(url, body, options = {}) {
+    const response = await axios.post(url, body, {
+      timeout: options.timeout ?? this.timeout,
+      headers: { 'User-Agent': this.userAgent, 'Content-Type': 'application/json', ...(options.headers || {}) },
+      responseType: 'json',
+      validateStatus: options.validateStatus
+    });
+
+    return {
+      status: response.status,
+      headers: response.headers,
+      data: response.data
+    };
+  }
+}
+
+// Singleton instance
+let httpClientInstance = null;
+
+export function getHttpClient() {
+  if (!httpClientInstance) {
+    httpClientInstance = new HttpClient();
+  }
+  return httpClientInstance;
+}
+
+/**
+ * Replace the shared instance (e.g., with a stub for offline runs)
+ * Must be called before services that use getHttpClient() are created
+ */
+export function setHttpClient(httpClient) {
+  httpClientInstance = httpClient;
+}
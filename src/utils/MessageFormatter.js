@@ -3,6 +3,9 @@ import { getLogger } from './Logger.js';
 
 const logger = getLogger();
 
+// Pinned section for sources with priority "official"
+const OFFICIAL_SECTION = { name: '公式発表', emoji: '📢' };
+
 /**
  * Format articles into Discord messages
  */
@@ -13,8 +16,9 @@ export class MessageFormatter {
 
   /**
    * Format all articles into Discord message(s)
+   * footerInfo: { errors, feedHealth: { events, quarantined }, llmUsage }
    */
-  format(articlesBySource, totalFetched) {
+  format(articlesBySource, totalFetched, footerInfo = {}) {
     const messages = [];
 
     // Build header
@@ -24,7 +28,7 @@ export class MessageFormatter {
     const sections = this._buildSections(articlesBySource);
 
     // Build stats footer
-    const footer = this._buildFooter(articlesBySource, totalFetched);
+    const footer = this._buildFooter(articlesBySource, totalFetched, footerInfo);
 
     // Split into chunks if needed
     const chunks = this._splitIntoChunks(header, sections, footer);
@@ -45,18 +49,27 @@ export class MessageFormatter {
 
   /**
    * Build sections by source
+   * Official announcements are pulled into a pinned section at the top
    */
   _buildSections(articlesBySource) {
     const sections = [];
-    const sourceOrder = ['hackernews', 'qiita', 'zenn'];
+    const official = [];
 
-    for (const sourceKey of sourceOrder) {
-      const articles = articlesBySource[sourceKey];
-      if (!articles || articles.length === 0) {
+    for (const sourceKey of this._getSourceOrder(articlesBySource)) {
+      official.push(...(articlesBySource[sourceKey] || []).filter(article => article.isOfficial()));
+    }
+
+    if (official.length > 0) {
+      sections.push(this._buildSection(OFFICIAL_SECTION, official, { showSource: true }));
+    }
+
+    for (const sourceKey of this._getSourceOrder(articlesBySource)) {
+      const articles = (articlesBySource[sourceKey] || []).filter(article => !article.isOfficial());
+      if (articles.length === 0) {
         continue;
       }
 
-      const config = this.sourceConfigs[sourceKey];
+      const config = this._getSourceConfig(sourceKey);
       const section = this._buildSection(config, articles);
       sections.push(section);
     }
@@ -64,10 +77,41 @@ export class MessageFormatter {
     return sections;
   }
 
+  /**
+   * Get source keys in config order, followed by any unconfigured sources
+   */
+  _getSourceOrder(articlesBySource) {
+    const configured = Object.keys(this.sourceConfigs);
+    const extra = Object.keys(articlesBySource).filter(key => !configured.includes(key));
+    return [...configured, ...extra];
+  }
+
+  /**
+   * Get display config for a source (falls back to the source key)
+   */
+  _getSourceConfig(sourceKey) {
+    const config = this.sourceConfigs[sourceKey] || {};
+    return {
+      name: config.name || sourceKey,
+      shortName: config.shortName || config.name || sourceKey,
+      emoji: config.emoji || '📄'
+    };
+  }
+
+  /**
+   * Map of source key to display name
+   */
+  _getSourceNames() {
+    return Object.fromEntries(
+      Object.keys(this.sourceConfigs).map(sourceKey => [sourceKey, this._getSourceConfig(sourceKey).name])
+    );
+  }
+
   /**
    * Build a single section for a source
+   * Options are passed to Article.toDiscordFormat
    */
-  _buildSection(config, articles) {
+  _buildSection(config, articles, options = {}) {
     const lines = [];
 
     // Section header
@@ -80,7 +124,7 @@ export class MessageFormatter {
     // Article list
     for (let i = 0; i < articles.length; i++) {
       const article = articles[i];
-      const numbered = article.toDiscordFormat().replace(/^1\./, `${i + 1}.`);
+      const numbered = article.toDiscordFormat(this._getSourceNames(), options).replace(/^1\./, `${i + 1}.`);
       lines.push(numbered);
       lines.push('');
     }
@@ -91,15 +135,15 @@ export class MessageFormatter {
   /**
    * Build stats footer
    */
-  _buildFooter(articlesBySource, totalFetched) {
+  _buildFooter(articlesBySource, totalFetched, { errors = [], feedHealth = null, llmUsage = null } = {}) {
     const totalNew = Object.values(articlesBySource).reduce((sum, articles) => sum + articles.length, 0);
 
     const sourceStats = [];
-    const sourceNames = { hackernews: 'HN', qiita: 'Qiita', zenn: 'Zenn' };
 
-    for (const [sourceKey, articles] of Object.entries(articlesBySource)) {
-      if (articles.length > 0) {
-        sourceStats.push(`${sourceNames[sourceKey]}: ${articles.length}件`);
+    for (const sourceKey of this._getSourceOrder(articlesBySource)) {
+      const articles = articlesBySource[sourceKey];
+      if (articles && articles.length > 0) {
+        sourceStats.push(`${this._getSourceConfig(sourceKey).shortName}: ${articles.length}件`);
       }
     }
 
@@ -115,12 +159,74 @@ export class MessageFormatter {
       footerLines.push(`(${sourceStats.join(', ')})`);
     }
 
+    if (errors.length > 0) {
+      footerLines.push(`⚠️ 取得エラー: ${errors.join(', ')}`);
+    }
+
+    if (feedHealth) {
+      footerLines.push(...this._buildFeedHealthLines(feedHealth));
+    }
+
+    if (llmUsage && llmUsage.requests > 0) {
+      footerLines.push(...this._buildLLMUsageLines(llmUsage));
+    }
+
     footerLines.push('');
     footerLines.push('🤖 Powered by GitHub Actions');
 
     return footerLines.join('\n');
   }
 
+  /**
+   * Build LLM usage lines (requests / tokens, and articles skipped over budget)
+   */
+  _buildLLMUsageLines({ requests, totalTokens, maxRequests, maxTokens, skipped }) {
+    const withLimit = (value, max) => (max > 0 ? `${value.toLocaleString()}/${max.toLocaleString()}` : value.toLocaleString());
+    const lines = [`🧠 LLM: ${withLimit(requests, maxRequests)}リクエスト / ${withLimit(totalTokens, maxTokens)}トークン`];
+
+    if (skipped.summary > 0 || skipped.classification > 0) {
+      const parts = [];
+      if (skipped.summary > 0) parts.push(`要約 ${skipped.summary}件`);
+      if (skipped.classification > 0) parts.push(`分類 ${skipped.classification}件`);
+      lines.push(`⚠️ LLM の上限に達したため省略: ${parts.join(', ')}`);
+    }
+
+    return lines;
+  }
+
+  /**
+   * Build feed health lines (quarantine / recovery events and quarantined count)
+   */
+  _buildFeedHealthLines({ events = [], quarantined = [] }) {
+    const lines = [];
+
+    for (const event of events) {
+      if (event.type === 'quarantined') {
+        lines.push(`⛔ 隔離: ${event.sourceName} <${event.url}> (${event.consecutiveFailures}回連続失敗: ${event.error})`);
+      } else if (event.type === 'recovered') {
+        lines.push(`✅ 復旧: ${event.sourceName} <${event.url}>`);
+      }
+    }
+
+    if (quarantined.length > 0) {
+      lines.push(`🩺 隔離中のフィード: ${quarantined.length}件`);
+    }
+
+    return lines;
+  }
+
+  /**
+   * Create maintenance message for feed health changes (sent when there is no digest)
+   */
+  formatMaintenance(feedHealth) {
+    const lines = [
+      '🛠️ **フィードメンテナンス通知**',
+      '',
+      ...this._buildFeedHealthLines(feedHealth)
+    ];
+    return lines.join('\n');
+  }
+
   /**
    * Split content into chunks respecting Discord's 2000 char limit
    */
@@ -212,15 +318,19 @@ export class MessageFormatter {
     let message = '🧪 **Dry Run Mode**\n\n';
     message += `以下の${totalNew}件の記事を通知します:\n\n`;
 
-    for (const [sourceKey, articles] of Object.entries(articlesBySource)) {
-      if (articles.length > 0) {
+    for (const sourceKey of this._getSourceOrder(articlesBySource)) {
+      const articles = articlesBySource[sourceKey];
+      if (articles && articles.length > 0) {
         message += `${sourceKey}: ${articles.length}件\n`;
-        for (const article of articles.slice(0, 3)) {
+        for (const article of articles) {
           const displayTitle = article.getDisplayTitle ? article.getDisplayTitle() : article.title;
           message += `  - ${displayTitle.slice(0, 40)}...\n`;
-        }
-        if (articles.length > 3) {
-          message += `  ... 他${articles.length - 3}件\n`;
+          if (article.ranking) {
+            message += `    ${this._formatScoreBreakdown(article.ranking)}\n`;
+          }
+          if (article.related?.length > 0) {
+            message += `    also on: ${article.related.map(entry => entry.source).join(', ')}\n`;
+          }
         }
         message += '\n';
       }
@@ -228,4 +338,13 @@ export class MessageFormatter {
 
     return message;
   }
+
+  /**
+   * Format ranking score breakdown (e.g., "score 1.52 = recency 0.80 + engagement 0.72")
+   */
+  _formatScoreBreakdown(ranking) {
+    const parts = Object.entries(ranking.breakdown)
+      .map(([signal, value]) => `${signal} ${value.toFixed(2)}`);
+    return `score ${ranking.score.toFixed(2)} = ${parts.join(' + ')}`;
+  }
 }
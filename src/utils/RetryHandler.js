@@ -38,6 +38,7 @@ export class RetryHandler {
 
   /**
    * Execute function with retry logic
+   * Errors with retryable === false are thrown without further attempts
    */
   async execute(fn, context = 'RetryHandler') {
     let lastError;
@@ -48,6 +49,10 @@ export class RetryHandler {
       } catch (error) {
         lastError = error;
 
+        if (error.retryable === false) {
+          throw error;
+        }
+
         if (attempt === this.maxRetries) {
           logger.error(`Max retries (${this.maxRetries}) exceeded`, error, context);
           throw error;
@@ -0,0 +1,216 @@
+import { URL_CONFIG } from '../../config/constants.js';
+import { getHttpClient } from './HttpClient.js';
+import { getCacheService } from '../services/CacheService.js';
+import { getLogger } from './Logger.js';
+
+const logger = getLogger();
+
+/**
+ * URL canonicalization for deduplication
+ *
+ * canonicalize() applies static rules (scheme, host aliases, tracking params,
+ * fragments, AMP variants). resolve() additionally follows redirects and
+ * <link rel="canonical"> through the HTTP layer and caches the result.
+ */
+export class UrlCanonicalizer {
+  constructor(config = {}, httpClient = null) {
+    this.httpClient = httpClient || getHttpClient();
+    this.cacheService = getCacheService();
+    this.configure(config);
+  }
+
+  /**
+   * Apply configuration (merged over URL_CONFIG defaults)
+   */
+  configure(config = {}) {
+    this.trackingParams = new Set([...URL_CONFIG.trackingParams, ...(config.trackingParams || [])]);
+    this.trackingParamPrefixes = [...URL_CONFIG.trackingParamPrefixes, ...(config.trackingParamPrefixes || [])];
+    this.stripSubdomains = config.stripSubdomains || URL_CONFIG.stripSubdomains;
+    this.hostAliases = { ...URL_CONFIG.hostAliases, ...(config.hostAliases || {}) };
+    this.forceHttps = config.forceHttps ?? URL_CONFIG.forceHttps;
+    this.resolveConfig = { ...URL_CONFIG.resolve, ...(config.resolve || {}) };
+    this._resolveCount = 0;
+  }
+
+  /**
+   * Replace the HTTP layer (e.g., with a stub)
+   */
+  setHttpClient(httpClient) {
+    this.httpClient = httpClient;
+  }
+
+  /**
+   * Canonicalize URL using static rules
+   */
+  canonicalize(url) {
+    if (!url) return '';
+
+    let urlObj;
+    try {
+      urlObj = new URL(this._unwrapAmpCache(url.trim()));
+    } catch {
+      // Invalid URL, return as-is
+      return url.trim();
+    }
+
+    if (!['http:', 'https:'].includes(urlObj.protocol)) {
+      return urlObj.toString();
+    }
+
+    const protocol = this.forceHttps ? 'https:' : urlObj.protocol;
+    const host = this._canonicalHost(urlObj.host.toLowerCase());
+    const pathname = this._canonicalPath(urlObj.pathname);
+    const search = this._canonicalSearch(urlObj.searchParams);
+
+    return `${protocol}//${host}${pathname}${search}`;
+  }
+
+  /**
+   * Unwrap AMP cache / Google AMP viewer URLs to the origin URL
+   */
+  _unwrapAmpCache(url) {
+    const match = url.match(/^https?:\/\/[^/]+\.cdn\.ampproject\.org\/[a-z]\/(s\/)?(.+)$/i)
+      || url.match(/^https?:\/\/(?:www\.)?google\.[a-z.]+\/amp\/(s\/)?(.+)$/i);
+
+    if (!match) return url;
+    return `${match[1] ? 'https' : 'http'}://${match[2]}`;
+  }
+
+  /**
+   * Apply host aliases and strip alias subdomains (www., m., ...)
+   */
+  _canonicalHost(host) {
+    if (this.hostAliases[host]) {
+      return this.hostAliases[host];
+    }
+
+    const labels = host.split('.');
+    // Keep at least the registrable part (e.g., "example.com")
+    while (labels.length > 2 && this.stripSubdomains.includes(labels[0])) {
+      labels.shift();
+    }
+
+    const stripped = labels.join('.');
+    return this.hostAliases[stripped] || stripped;
+  }
+
+  /**
+   * Remove AMP path variants and trailing slash
+   */
+  _canonicalPath(pathname) {
+    return pathname
+      .replace(/\.amp\.html$/i, '.html')
+      .replace(/\/amp\/?$/i, '')
+      .replace(/\/+$/, '');
+  }
+
+  /**
+   * Remove tracking params and sort the rest for stable comparison
+   */
+  _canonicalSearch(searchParams) {
+    const params = [...searchParams.entries()]
+      .filter(([key]) => !this._isTrackingParam(key))
+      .sort(([a], [b]) => a.localeCompare(b));
+
+    if (params.length === 0) return '';
+    return '?' + new URLSearchParams(params).toString();
+  }
+
+  /**
+   * Check if query parameter is a tracking parameter
+   */
+  _isTrackingParam(key) {
+    const lowered = key.toLowerCase();
+    return this.trackingParams.has(key) ||
+      this.trackingParams.has(lowered) ||
+      this.trackingParamPrefixes.some(prefix => lowered.startsWith(prefix));
+  }
+
+  /**
+   * Check if URL should be resolved over the network
+   */
+  _shouldResolve(url) {
+    if (!this.resolveConfig.enabled) return false;
+    if (this._resolveCount >= this.resolveConfig.maxPerRun) return false;
+    if (this.resolveConfig.hosts.length === 0) return true;
+
+    try {
+      return this.resolveConfig.hosts.includes(new URL(url).host);
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Extract <link rel="canonical"> href from HTML
+   */
+  _extractCanonicalLink(html, baseUrl) {
+    if (typeof html !== 'string') return null;
+
+    for (const tag of html.match(/<link\b[^>]*>/gi) || []) {
+      if (!/\brel=["']?canonical["'\s>]/i.test(tag)) continue;
+
+      const href = tag.match(/\bhref=["']([^"']+)["']/i);
+      if (!href) continue;
+
+      try {
+        return new URL(href[1], baseUrl).toString();
+      } catch {
+        return null;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Resolve canonical URL (redirects and <link rel="canonical">), with caching
+   */
+  async resolve(url) {
+    const canonical = this.canonicalize(url);
+    if (!this.resolveConfig.enabled) {
+      return canonical;
+    }
+
+    await this.cacheService.ensureLoaded();
+    const cached = this.cacheService.getCanonicalUrl(canonical);
+    if (cached) {
+      return cached;
+    }
+
+    if (!this._shouldResolve(canonical)) {
+      return canonical;
+    }
+
+    this._resolveCount++;
+
+    try {
+      const response = await this.httpClient.get(canonical, {
+        maxContentLength: this.resolveConfig.maxContentLength
+      });
+      const linked = this._extractCanonicalLink(response.data, response.url);
+      const resolved = this.canonicalize(linked || response.url || canonical);
+
+      if (resolved !== canonical) {
+        logger.debug(`Resolved canonical URL: ${canonical} -> ${resolved}`, 'UrlCanonicalizer');
+      }
+
+      this.cacheService.setCanonicalUrl(canonical, resolved);
+      return resolved;
+    } catch (error) {
+      // Not cached, so the next run retries
+      logger.debug(`Failed to resolve ${canonical}: ${error.message}`, 'UrlCanonicalizer');
+      return canonical;
+    }
+  }
+}
+
+// Singleton instance
+let canonicalizerInstance = null;
+
+export function getUrlCanonicalizer() {
+  if (!canonicalizerInstance) {
+    canonicalizerInstance = new UrlCanonicalizer();
+  }
+  return canonicalizerInstance;
+}